@@ -0,0 +1,389 @@
+// helpers/bulletinPublishing.js
+// Everything that happens when a bulletin goes live, shared by
+// POST /api/bulletins (publish now), the drafts API and the scheduler —
+// plus author edits (PATCH /api/bulletins/:id), which re-tag the same way.
+//
+//   status "draft"     – saved, not visible anywhere but the drafts API
+//   status "scheduled" – a draft with scheduledFor; the scheduler publishes it
+//   status "published" – live (see helpers/bulletinStatus.js)
+//
+// AI tagging and community approval run at publish time, so a post scheduled
+// into a community that turns on approval later still waits for a mod.
+// Scheduled posts live in Mongo and the scheduler claims due ones with a
+// short lock, so a restart (or a second instance) just picks them up.
+const Bulletin = require("../models/Bulletin");
+const BulletinRevision = require("../models/BulletinRevision");
+const Community = require("../models/Community");
+const { getFreeformTagsForBulletin } = require("../utils/aiTagger");
+const { invalidateFriendsOf } = require("./forYouFeed");
+const { UNPUBLISHED_STATUSES, isPublished } = require("./bulletinStatus");
+const { validatePollInput, startPoll } = require("./polls");
+const { resolveMentions, notifyMentions } = require("./mentions");
+const { extractHashtags, applyTags } = require("./hashtags");
+
+const MINUTE = 60 * 1000;
+
+// Bulletin content limits
+const TEXT_MAX = 1500;
+const CAPTION_MAX = 500;
+const ALLOWED_TYPES = ["text", "image", "video", "poll"];
+
+// Very simple HTML tag detector (allows things like "<3")
+const HTML_TAG_REGEX = /<\/?[a-z][^>]*>/i;
+
+// How far ahead a post can be scheduled
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * MINUTE;
+// A claim older than this is assumed dead (crash mid-publish) and retried
+const PUBLISH_LOCK_MS = 5 * MINUTE;
+// Give up after this many failed publishes and hand the post back as a draft
+const MAX_PUBLISH_ATTEMPTS = 5;
+
+const SCHEDULER_INTERVAL_MS = Number(process.env.BULLETIN_SCHEDULER_INTERVAL_MS) || 30 * 1000;
+const SCHEDULER_BATCH = 50;
+
+/**
+ * Validate create/edit input -> { error } or { value: { type, content, mediaUrl, poll? } }.
+ * Drafts may be incomplete (empty text, no media yet); limits still apply.
+ */
+function validateBulletinInput({ type, content, mediaUrl, poll }, { draft = false } = {}) {
+  if (!type) return { error: "type is required." };
+  if (!ALLOWED_TYPES.includes(type)) return { error: "Invalid bulletin type." };
+
+  // Normalize content
+  const trimmed = (typeof content === "string" ? content : "").trim();
+  const media = typeof mediaUrl === "string" ? mediaUrl.trim() : "";
+
+  // Decide max length based on type
+  const maxLength = type === "text" ? TEXT_MAX : CAPTION_MAX;
+  const label = { text: "Content", poll: "Question" }[type] || "Caption";
+
+  // TEXT posts: require non-empty content
+  if (type === "text" && !trimmed && !draft) {
+    return { error: "Content cannot be empty." };
+  }
+  // POLL posts: the content is the question
+  if (type === "poll" && !trimmed && !draft) {
+    return { error: "Poll question cannot be empty." };
+  }
+  // IMAGE / VIDEO posts: must have a media URL, caption optional
+  if ((type === "image" || type === "video") && !media && !draft) {
+    return { error: "Media is required for image/video bulletins." };
+  }
+
+  if (trimmed.length > maxLength) {
+    return { error: `${label} exceeds maximum length of ${maxLength} characters.` };
+  }
+  // Block HTML tags in text and captions
+  if (trimmed && HTML_TAG_REGEX.test(trimmed)) {
+    return { error: "HTML is not allowed in bulletins." };
+  }
+
+  if (type === "poll") {
+    const result = validatePollInput(poll, { draft });
+    if (result.error) return { error: result.error };
+    return { value: { type, content: trimmed, mediaUrl: undefined, poll: result.poll } };
+  }
+
+  return { value: { type, content: trimmed, mediaUrl: media || undefined } };
+}
+
+/** Quote-repost commentary -> { text } ("" for a plain repost) or { error }. */
+function validateQuoteText(raw) {
+  if (raw != null && typeof raw !== "string") return { error: "text must be a string." };
+
+  const text = (raw || "").trim();
+  if (text.length > CAPTION_MAX) {
+    return { error: `Quote exceeds maximum length of ${CAPTION_MAX} characters.` };
+  }
+  if (text && HTML_TAG_REGEX.test(text)) {
+    return { error: "HTML is not allowed in bulletins." };
+  }
+  return { text };
+}
+
+/** Parse a scheduledFor value -> { date } or { error }. */
+function parseScheduledFor(raw, now = Date.now()) {
+  const date = new Date(raw);
+  if (!raw || Number.isNaN(date.getTime())) return { error: "Invalid scheduledFor date." };
+  if (date.getTime() <= now) return { error: "scheduledFor must be in the future." };
+  if (date.getTime() - now > MAX_SCHEDULE_AHEAD_MS) {
+    return { error: "Bulletins can be scheduled at most a year ahead." };
+  }
+  return { date };
+}
+
+/**
+ * Tag a bulletin: the author's #hashtags plus AI tags, merged into `tags`
+ * (helpers/hashtags.js). If AI tagging fails, the AI tags stay as they were.
+ */
+async function tagBulletin(bulletin, communityName = null) {
+  let aiTags = null;
+  try {
+    // A poll is about its question and its options
+    const options = bulletin.poll?.options?.map((o) => o.text) || [];
+    const { tags } = await getFreeformTagsForBulletin({
+      content: [bulletin.content, ...options].filter(Boolean).join("\n"),
+      caption: bulletin.type === "text" ? null : bulletin.content,
+      communityName,
+      imageUrl: bulletin.type === "image" ? bulletin.mediaUrl : null,
+    });
+
+    if (Array.isArray(tags) && tags.length > 0) {
+      aiTags = tags;
+    }
+  } catch (tagErr) {
+    console.error("AI tagging failed for bulletin:", tagErr);
+    // don’t throw; we still want the bulletin saved
+  }
+
+  applyTags(bulletin, { hashtags: extractHashtags(bulletin.content), aiTags });
+}
+
+/**
+ * Run community approval + AI tagging and save the bulletin as published.
+ * Works on a new document (publish now) or a claimed draft.
+ *
+ * Only failures before the save throw (and get retried by the scheduler).
+ * Once it's saved the post is live: follow-up work is logged if it fails.
+ */
+async function publishBulletin(bulletin) {
+  const wasDraft = !isPublished(bulletin);
+
+  // --- Community approval logic ---
+  let approved = true;
+  let communityName = null;
+
+  if (bulletin.communityId) {
+    const community = await Community.findById(bulletin.communityId).select(
+      "name requireApproval"
+    );
+    if (community?.requireApproval) {
+      approved = false;
+    }
+    communityName = community?.name || null;
+  }
+
+  await tagBulletin(bulletin, communityName);
+  // Resolved now, so blocks / privacy changed since drafting are respected
+  bulletin.mentions = await resolveMentions(bulletin.content, bulletin.userId);
+
+  bulletin.approved = approved;
+  bulletin.status = "published";
+  bulletin.scheduledFor = null;
+  bulletin.publishLockUntil = null;
+  bulletin.publishError = null;
+  // Feeds sort by createdAt: a draft goes live at the top, not where it was started
+  if (wasDraft) bulletin.createdAt = new Date();
+  startPoll(bulletin);
+
+  await bulletin.save();
+
+  try {
+    // Counted once the post exists, so a failed attempt never counts it twice
+    if (!approved) {
+      await Community.findByIdAndUpdate(bulletin.communityId, {
+        $inc: { pendingBulletins: 1 },
+      });
+    }
+    await notifyMentions(bulletin.mentions, bulletin.userId, { bulletinId: bulletin._id });
+  } catch (err) {
+    console.error(`Post-publish work failed for bulletin ${bulletin._id}:`, err);
+  }
+
+  // Friends should see it without waiting for the next materializer pass
+  if (approved) {
+    invalidateFriendsOf(bulletin.userId).catch((e) =>
+      console.error("For You invalidation failed:", e)
+    );
+  }
+
+  return bulletin;
+}
+
+/**
+ * Apply an author edit ({ content, mediaUrl } from validateBulletinInput).
+ * The replaced version is stored as a BulletinRevision, and the post is
+ * re-tagged. In a community with requireApproval an edited post goes back
+ * to the mod queue, same as a new one. Returns false when nothing changed.
+ */
+async function reviseBulletin(bulletin, { content, mediaUrl }) {
+  const changed =
+    content !== (bulletin.content || "") || (mediaUrl || null) !== (bulletin.mediaUrl || null);
+  if (!changed) return false;
+
+  await BulletinRevision.create({
+    bulletinId: bulletin._id,
+    userId: bulletin.userId,
+    content: bulletin.content || "",
+    mediaUrl: bulletin.mediaUrl || null,
+    tags: bulletin.tags,
+    postedAt: bulletin.editedAt || bulletin.createdAt,
+  });
+
+  bulletin.content = content;
+  bulletin.mediaUrl = mediaUrl;
+
+  let communityName = null;
+  let requeued = false;
+  if (bulletin.communityId) {
+    const community = await Community.findById(bulletin.communityId)
+      .select("name requireApproval")
+      .lean();
+    communityName = community?.name || null;
+    // Approval covered the old text, not whatever it's edited into
+    if (community?.requireApproval && bulletin.approved) {
+      bulletin.approved = false;
+      requeued = true;
+    }
+  }
+  await tagBulletin(bulletin, communityName);
+
+  const previousMentions = bulletin.mentions || [];
+  bulletin.mentions = await resolveMentions(content, bulletin.userId);
+
+  bulletin.editedAt = new Date();
+  bulletin.revisionCount = (bulletin.revisionCount || 0) + 1;
+  await bulletin.save();
+  if (requeued) {
+    await Community.findByIdAndUpdate(bulletin.communityId, { $inc: { pendingBulletins: 1 } });
+  }
+  await notifyMentions(bulletin.mentions, bulletin.userId, { bulletinId: bulletin._id }, previousMentions);
+
+  // Reposts carry a copy of the original's content
+  await Bulletin.updateMany(
+    { repostOf: bulletin._id },
+    { $set: { content: bulletin.content, mediaUrl: bulletin.mediaUrl } }
+  );
+
+  // Tags may have moved (or it's back in the queue), so re-score the feeds it can appear in
+  if (bulletin.approved || requeued) {
+    invalidateFriendsOf(bulletin.userId).catch((e) =>
+      console.error("For You invalidation failed:", e)
+    );
+  }
+
+  return true;
+}
+
+/**
+ * Atomically take an unpublished bulletin for publishing (null if someone
+ * else holds it, or it no longer matches `filter`).
+ */
+async function claimForPublish(filter, now = new Date()) {
+  return Bulletin.findOneAndUpdate(
+    {
+      ...filter,
+      status: { $in: UNPUBLISHED_STATUSES },
+      $or: [{ publishLockUntil: null }, { publishLockUntil: { $lt: now } }],
+    },
+    { $set: { publishLockUntil: new Date(now.getTime() + PUBLISH_LOCK_MS) } },
+    { new: true }
+  );
+}
+
+async function releaseClaim(bulletinId) {
+  await Bulletin.updateOne({ _id: bulletinId }, { $set: { publishLockUntil: null } });
+}
+
+/* ------------------------------------------------------------------------ */
+/* Scheduler                                                                */
+/* ------------------------------------------------------------------------ */
+
+async function publishScheduled(bulletin) {
+  // Edits are validated too, but a post that can't go live goes back to drafts
+  const { error } = validateBulletinInput(bulletin);
+  if (error) {
+    await Bulletin.updateOne(
+      { _id: bulletin._id },
+      { $set: { status: "draft", scheduledFor: null, publishLockUntil: null, publishError: error } }
+    );
+    return false;
+  }
+
+  try {
+    await publishBulletin(bulletin);
+    console.log(`🗓️ Published scheduled bulletin ${bulletin._id}`);
+    return true;
+  } catch (err) {
+    console.error(`Scheduled publish failed for ${bulletin._id}:`, err);
+
+    const attempts = (bulletin.publishAttempts || 0) + 1;
+    const giveUp = attempts >= MAX_PUBLISH_ATTEMPTS;
+    // Never touch a post that did go live
+    await Bulletin.updateOne(
+      { _id: bulletin._id, status: "scheduled" },
+      {
+        $set: {
+          publishAttempts: attempts,
+          publishError: err.message,
+          // Otherwise it is retried once the lock runs out
+          ...(giveUp ? { status: "draft", scheduledFor: null, publishLockUntil: null } : {}),
+        },
+      }
+    );
+    return false;
+  }
+}
+
+/** One scheduler pass: publish every scheduled bulletin that is due. */
+async function publishDueBulletins(now = new Date()) {
+  let published = 0;
+
+  for (let i = 0; i < SCHEDULER_BATCH; i++) {
+    const bulletin = await claimForPublish(
+      { status: "scheduled", scheduledFor: { $lte: now } },
+      now
+    );
+    if (!bulletin) break;
+    if (await publishScheduled(bulletin)) published++;
+  }
+
+  return published;
+}
+
+let timer = null;
+let running = false;
+
+function startBulletinScheduler({ intervalMs = SCHEDULER_INTERVAL_MS } = {}) {
+  if (timer) return timer;
+
+  const tick = async () => {
+    if (running) return; // previous pass still going
+    running = true;
+    try {
+      await publishDueBulletins();
+    } catch (err) {
+      console.error("Bulletin scheduler error:", err);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, intervalMs);
+  timer.unref?.();
+
+  // Catch up on anything that came due while the server was down
+  tick();
+
+  return timer;
+}
+
+function stopBulletinScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  TEXT_MAX,
+  CAPTION_MAX,
+  validateBulletinInput,
+  validateQuoteText,
+  parseScheduledFor,
+  publishBulletin,
+  reviseBulletin,
+  claimForPublish,
+  releaseClaim,
+  publishDueBulletins,
+  startBulletinScheduler,
+  stopBulletinScheduler,
+};
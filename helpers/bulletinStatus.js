@@ -0,0 +1,12 @@
+// helpers/bulletinStatus.js
+// Bulletin.status: "draft" | "scheduled" | "published". Bulletins written
+// before drafts existed have no status and count as published, so feeds
+// filter with $nin rather than matching "published".
+const UNPUBLISHED_STATUSES = ["draft", "scheduled"];
+
+// Merge into any query that should only see live bulletins
+const PUBLISHED = { status: { $nin: UNPUBLISHED_STATUSES } };
+
+const isPublished = (bulletin) => !UNPUBLISHED_STATUSES.includes(bulletin?.status);
+
+module.exports = { UNPUBLISHED_STATUSES, PUBLISHED, isPublished };
@@ -0,0 +1,119 @@
+// helpers/commentInbox.js
+// "New comments" inbox: CommentActivity rows written at comment / reply time,
+// read newest first per recipient. Unread = newer than the recipient's
+// dashboardData.commentsReadAt, and dashboardData.newComments holds that
+// count — bumped on write, zeroed on mark-read, recounted (one indexed range
+// per user) when comments are deleted.
+const User = require("../models/User");
+const CommentActivity = require("../models/CommentActivity");
+const { TIME_SORT, timePage } = require("./feedPaging");
+
+const ACTOR_FIELDS = "username displayName profilePicture";
+
+/**
+ * Fan a new comment out to the people it's for: the bulletin's author and,
+ * for replies, the author of the comment replied to. Never the commenter.
+ */
+async function recordCommentActivity(comment, { bulletinOwner, repliedTo = null }) {
+  const actor = String(comment.user);
+  const recipients = new Map();
+  if (repliedTo && String(repliedTo) !== actor) recipients.set(String(repliedTo), "reply");
+  if (bulletinOwner && !recipients.has(String(bulletinOwner)) && String(bulletinOwner) !== actor) {
+    recipients.set(String(bulletinOwner), "comment");
+  }
+  if (!recipients.size) return;
+
+  const createdAt = comment.createdAt || new Date();
+  await CommentActivity.insertMany(
+    [...recipients].map(([recipient, kind]) => ({
+      recipient,
+      actor,
+      kind,
+      bulletinId: comment.bulletinId,
+      commentId: comment._id,
+      createdAt,
+    }))
+  );
+
+  await User.updateMany(
+    { _id: { $in: [...recipients.keys()] } },
+    { $inc: { "dashboardData.newComments": 1 } }
+  );
+}
+
+/** Recount unread activity for each user (after activity was removed). */
+async function refreshUnread(userIds) {
+  const ids = [...new Set(userIds.map(String))];
+  const users = await User.find({ _id: { $in: ids } })
+    .select("dashboardData.commentsReadAt")
+    .lean();
+
+  for (const user of users) {
+    const readAt = user.dashboardData?.commentsReadAt;
+    const newComments = await CommentActivity.countDocuments({
+      recipient: user._id,
+      ...(readAt && { createdAt: { $gt: readAt } }),
+    });
+    await User.updateOne({ _id: user._id }, { $set: { "dashboardData.newComments": newComments } });
+  }
+}
+
+/** Remove activity matching filter (deleted comments / bulletins) and fix counts. */
+async function dropCommentActivity(filter) {
+  const recipients = await CommentActivity.distinct("recipient", filter);
+  if (!recipients.length) return;
+  await CommentActivity.deleteMany(filter);
+  await refreshUnread(recipients);
+}
+
+/** One page of userId's inbox, newest first, each entry flagged isNewComment. */
+async function inboxPage(req, userId) {
+  const user = await User.findById(userId).select("dashboardData").lean();
+  const readAt = user?.dashboardData?.commentsReadAt || null;
+
+  const page = await timePage({ recipient: userId }, req, (filter, limit) =>
+    CommentActivity.find(filter)
+      .sort(TIME_SORT)
+      .limit(limit)
+      .populate("actor", ACTOR_FIELDS)
+      .populate("bulletinId", "content mediaUrl")
+      .populate("commentId", "text parentId depth editedAt deletedAt")
+      .lean()
+  );
+
+  const items = page.items
+    .filter((a) => a.bulletinId && a.commentId && !a.commentId.deletedAt)
+    .map((a) => ({
+      _id: a._id,
+      kind: a.kind,
+      commentId: a.commentId._id,
+      text: a.commentId.text,
+      editedAt: a.commentId.editedAt,
+      createdAt: a.createdAt,
+      commenter: a.actor,
+      bulletinId: a.bulletinId._id,
+      bulletinContent: a.bulletinId.content,
+      bulletinMediaUrl: a.bulletinId.mediaUrl,
+      isNewComment: !readAt || a.createdAt > readAt,
+      parentId: a.commentId.parentId,
+      depth: a.commentId.depth,
+    }));
+
+  return { ...page, items, unread: user?.dashboardData?.newComments || 0 };
+}
+
+/** Everything up to now is read: one write, whatever the inbox size. */
+async function markInboxRead(userId) {
+  await User.updateOne(
+    { _id: userId },
+    { $set: { "dashboardData.commentsReadAt": new Date(), "dashboardData.newComments": 0 } }
+  );
+}
+
+module.exports = {
+  recordCommentActivity,
+  refreshUnread,
+  dropCommentActivity,
+  inboxPage,
+  markInboxRead,
+};
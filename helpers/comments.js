@@ -0,0 +1,224 @@
+// helpers/comments.js
+// Bulletin comments live in their own collection (models/Comment.js).
+// Writing a reply touches the new comment, its parent's replyCount and the
+// bulletin's commentCount — never the whole thread.
+//
+// Deletes: a comment with replies becomes a tombstone (text cleared, author
+// hidden) so the thread below it stays put; a leaf is removed, along with any
+// tombstoned ancestors it was the last reply under. commentCount counts live
+// comments only.
+const mongoose = require("mongoose");
+
+const Bulletin = require("../models/Bulletin");
+const Comment = require("../models/Comment");
+const Notification = require("../models/Notification");
+const { TIME_SORT_ASC, timePage } = require("./feedPaging");
+const { recordCommentActivity, dropCommentActivity } = require("./commentInbox");
+const { resolveMentions, notifyMentions } = require("./mentions");
+
+const COMMENT_MAX = 1000;
+// Replies deeper than this attach to the deepest allowed level instead
+const MAX_COMMENT_DEPTH = 8;
+const COMMENT_AUTHOR_FIELDS = "username displayName profilePicture";
+
+/** Comment body -> { text } or { error }. */
+function validateCommentText(raw) {
+  const text = typeof raw === "string" ? raw.trim() : "";
+  if (!text) return { error: "Comment cannot be empty." };
+  if (text.length > COMMENT_MAX) {
+    return { error: `Comment exceeds maximum length of ${COMMENT_MAX} characters.` };
+  }
+  return { text };
+}
+
+/** What clients see: tombstones keep their place but lose text and author. */
+function presentComment(c) {
+  if (!c?.deletedAt) return c;
+  return {
+    _id: c._id,
+    bulletinId: c.bulletinId,
+    parentId: c.parentId,
+    depth: c.depth,
+    path: c.path,
+    replyCount: c.replyCount,
+    createdAt: c.createdAt,
+    user: null,
+    text: "",
+    likes: [],
+    mentions: [],
+    deleted: true,
+    deletedBy: c.deletedBy,
+  };
+}
+
+/** The comment, if it belongs to bulletinId. */
+async function findComment(bulletinId, commentId) {
+  if (!mongoose.isValidObjectId(commentId)) return null;
+  return Comment.findOne({ _id: commentId, bulletinId }).lean();
+}
+
+/**
+ * Add a comment (parent = null) or a reply (parent = comment doc).
+ * Returns the new comment with its author populated. The bulletin's author
+ * and the author of the comment replied to get it in their inbox.
+ */
+async function createComment({ bulletin, userId, text, parent = null }) {
+  // Past the depth cap, reply alongside the target instead of under it
+  let attachTo = parent;
+  if (attachTo && attachTo.depth >= MAX_COMMENT_DEPTH) {
+    attachTo = await Comment.findById(attachTo.parentId).lean();
+  }
+
+  const _id = new mongoose.Types.ObjectId();
+  const mentions = await resolveMentions(text, userId);
+  const comment = await Comment.create({
+    _id,
+    bulletinId: bulletin._id,
+    bulletinOwner: bulletin.userId,
+    user: userId,
+    text,
+    parentId: attachTo?._id || null,
+    depth: attachTo ? attachTo.depth + 1 : 0,
+    path: attachTo ? `${attachTo.path}/${_id}` : String(_id),
+    mentions,
+  });
+
+  await Promise.all([
+    attachTo && Comment.updateOne({ _id: attachTo._id }, { $inc: { replyCount: 1 } }),
+    Bulletin.updateOne({ _id: bulletin._id }, { $inc: { commentCount: 1 } }),
+    // Whoever they actually replied to, even past the depth cap
+    recordCommentActivity(comment, { bulletinOwner: bulletin.userId, repliedTo: parent?.user }),
+    notifyMentions(mentions, userId, { bulletinId: bulletin._id, commentId: _id }),
+  ]);
+
+  return Comment.findById(comment._id).populate("user", COMMENT_AUTHOR_FIELDS).lean();
+}
+
+/** One cursor page of comments under parentId (null = top level), oldest first. */
+async function commentPage(req, bulletinId, parentId = null) {
+  const page = await timePage(
+    { bulletinId, parentId },
+    req,
+    (filter, limit) =>
+      Comment.find(filter)
+        .sort(TIME_SORT_ASC)
+        .limit(limit)
+        .populate("user", COMMENT_AUTHOR_FIELDS)
+        .lean(),
+    { ascending: true }
+  );
+  return { ...page, items: page.items.map(presentComment) };
+}
+
+/** Like / unlike -> { liked, likeCount }, or null if the comment is gone. */
+async function toggleCommentLike(commentId, userId) {
+  const live = { _id: commentId, deletedAt: null };
+
+  // Try to add first; if the user was already in likes, that matches nothing
+  let comment = await Comment.findOneAndUpdate(
+    { ...live, likes: { $ne: userId } },
+    { $addToSet: { likes: userId } },
+    { new: true, projection: { likes: 1 } }
+  ).lean();
+  if (comment) return { liked: true, likeCount: comment.likes.length };
+
+  comment = await Comment.findOneAndUpdate(
+    live,
+    { $pull: { likes: userId } },
+    { new: true, projection: { likes: 1 } }
+  ).lean();
+  return comment ? { liked: false, likeCount: comment.likes.length } : null;
+}
+
+/** Author edit: new text + edited marker (unchanged text isn't an edit). */
+async function editComment(comment, text) {
+  if (comment.text === text) {
+    return Comment.findById(comment._id).populate("user", COMMENT_AUTHOR_FIELDS).lean();
+  }
+
+  const mentions = await resolveMentions(text, comment.user);
+  const updated = await Comment.findOneAndUpdate(
+    { _id: comment._id, deletedAt: null },
+    { $set: { text, mentions, editedAt: new Date() } },
+    { new: true }
+  )
+    .populate("user", COMMENT_AUTHOR_FIELDS)
+    .lean();
+
+  if (updated) {
+    const target = { bulletinId: comment.bulletinId, commentId: comment._id };
+    await notifyMentions(mentions, comment.user, target, comment.mentions || []);
+  }
+  return updated;
+}
+
+/**
+ * Delete a live comment (deletedBy: "author" | "owner" | "moderator" | "staff").
+ * Returns { tombstoned } — true when replies kept it in the thread — or null
+ * when a concurrent delete got there first (nothing is counted twice).
+ */
+async function removeComment(comment, deletedBy) {
+  // Hard delete only while it's still live with no replies; a reply landing
+  // in between turns this into a tombstone instead of orphaning the reply
+  const { deletedCount } = await Comment.deleteOne({ _id: comment._id, deletedAt: null, replyCount: 0 });
+  let tombstoned = false;
+  if (!deletedCount) {
+    const { modifiedCount } = await Comment.updateOne(
+      { _id: comment._id, deletedAt: null },
+      { $set: { text: "", likes: [], mentions: [], deletedAt: new Date(), deletedBy } }
+    );
+    if (!modifiedCount) return null;
+    tombstoned = true;
+  }
+
+  // Only the request that actually removed it drops the count, inboxes and
+  // notifications (likes, mentions) that would open a dead comment
+  await Bulletin.updateOne({ _id: comment.bulletinId }, { $inc: { commentCount: -1 } });
+  await dropCommentActivity({ commentId: comment._id });
+  if (tombstoned) {
+    await Notification.deleteMany({ commentId: comment._id });
+    return { tombstoned };
+  }
+
+  // Walk up: a tombstone with no replies left has nothing to hold in place
+  const removedIds = [comment._id];
+  let parentId = comment.parentId;
+  while (parentId) {
+    const parent = await Comment.findOneAndUpdate(
+      { _id: parentId },
+      { $inc: { replyCount: -1 } },
+      { new: true }
+    ).lean();
+    if (!parent || !parent.deletedAt || parent.replyCount > 0) break;
+
+    const { deletedCount: gone } = await Comment.deleteOne({ _id: parent._id, replyCount: 0 });
+    if (!gone) break;
+    removedIds.push(parent._id);
+    parentId = parent.parentId;
+  }
+
+  await Notification.deleteMany({ commentId: { $in: removedIds } });
+  return { tombstoned };
+}
+
+/** Remove every comment on the given bulletins (bulletin delete). */
+async function deleteCommentsFor(bulletinIds) {
+  if (!bulletinIds.length) return;
+  await Comment.deleteMany({ bulletinId: { $in: bulletinIds } });
+  await dropCommentActivity({ bulletinId: { $in: bulletinIds } });
+}
+
+module.exports = {
+  COMMENT_MAX,
+  MAX_COMMENT_DEPTH,
+  COMMENT_AUTHOR_FIELDS,
+  validateCommentText,
+  presentComment,
+  findComment,
+  createComment,
+  commentPage,
+  toggleCommentLike,
+  editComment,
+  removeComment,
+  deleteCommentsFor,
+};
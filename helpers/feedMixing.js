@@ -0,0 +1,91 @@
+// helpers/feedMixing.js
+// Deterministic replacements for the feeds' Math.random() shuffles.
+// The same seed always yields the same order, so a refresh within one session
+// is stable and a staff member can reproduce a mix with ?seed=.
+const crypto = require("crypto");
+
+const HOUR = 60 * 60 * 1000;
+
+// Share of the For You mix each bucket aims for
+const BUCKET_WEIGHTS = {
+  interest: 0.5,
+  friends: 0.3,
+  trending: 0.2,
+  recent: 1, // fallback bucket, only present on its own
+};
+
+/**
+ * Seed for a feed request:
+ *   staff with ?seed=  -> that seed (reproduce a mix while debugging)
+ *   signed-in user     -> their session id (stable per session)
+ *   anonymous          -> the current hour
+ */
+function feedSeed(req, scope) {
+  if (req.staff && req.query.seed) return `${scope}:${req.query.seed}`;
+  if (req.userSession?.sid) return `${scope}:${req.userSession.sid}`;
+  return `${scope}:${Math.floor(Date.now() / HOUR)}`;
+}
+
+// mulberry32 seeded from a string; returns () => float in [0, 1)
+function createRng(seed) {
+  let state = crypto.createHash("sha256").update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Fisher–Yates with a seeded rng (returns a new array). */
+function seededShuffle(items, rng) {
+  const out = items.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/**
+ * Interleave ranked entries by bucket. Each slot draws a bucket with
+ * probability proportional to its weight (among buckets with items left) and
+ * takes that bucket's best remaining entry, so per-bucket rank order holds.
+ */
+function mixBuckets(entries, rng, weights = BUCKET_WEIGHTS) {
+  const queues = new Map();
+  for (const entry of entries) {
+    if (!queues.has(entry.bucket)) queues.set(entry.bucket, []);
+    queues.get(entry.bucket).push(entry);
+  }
+
+  const out = [];
+  while (queues.size) {
+    const live = [...queues.keys()];
+    const total = live.reduce((sum, b) => sum + (weights[b] || 0.1), 0);
+
+    let pick = rng() * total;
+    let bucket = live[live.length - 1];
+    for (const b of live) {
+      pick -= weights[b] || 0.1;
+      if (pick < 0) {
+        bucket = b;
+        break;
+      }
+    }
+
+    const queue = queues.get(bucket);
+    out.push(queue.shift());
+    if (!queue.length) queues.delete(bucket);
+  }
+  return out;
+}
+
+module.exports = {
+  BUCKET_WEIGHTS,
+  feedSeed,
+  createRng,
+  seededShuffle,
+  mixBuckets,
+};
@@ -0,0 +1,248 @@
+// helpers/feedPaging.js
+// Opaque cursors for bulletin feeds.
+//
+//   Chronological feeds (user, community): keyset on (createdAt, _id), so new
+//   posts arriving mid-scroll never shift what the next page returns.
+//   Newest first by default; comment threads page oldest first ({ ascending }).
+//
+//   Ranked feeds (trending, for-you): the ranked id list is frozen in a
+//   snapshot when page 1 is built; the cursor is (snapshot id, offset).
+//   Scores moving between requests can't duplicate or skip posts.
+//
+// Snapshot drivers follow helpers/sessionStore.js: "mongo" (default) or
+// "memory", picked with FEED_SNAPSHOT_STORE or useDriver().
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const SNAPSHOT_TTL_MS = 30 * 60 * 1000;
+
+class CursorError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "CursorError";
+    this.status = status;
+  }
+}
+
+const getLimit = (req) =>
+  Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+function decodeCursor(raw) {
+  if (!raw) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(String(raw), "base64url").toString("utf8"));
+    if (payload && typeof payload === "object") return payload;
+  } catch {
+    // fall through
+  }
+  throw new CursorError("Invalid cursor");
+}
+
+/* ------------------------------------------------------------------------ */
+/* Chronological (createdAt, _id) keyset                                    */
+/* ------------------------------------------------------------------------ */
+
+const TIME_SORT = { createdAt: -1, _id: -1 };
+const TIME_SORT_ASC = { createdAt: 1, _id: 1 };
+
+/** Merge the "past the cursor" condition (older, or newer if ascending) into a query. */
+function applyTimeCursor(query, rawCursor, { ascending = false } = {}) {
+  const cursor = decodeCursor(rawCursor);
+  if (!cursor) return query;
+
+  const createdAt = new Date(cursor.t);
+  if (Number.isNaN(createdAt.getTime()) || !mongoose.isValidObjectId(cursor.id)) {
+    throw new CursorError("Invalid cursor");
+  }
+  const id = new mongoose.Types.ObjectId(cursor.id);
+  const past = ascending ? "$gt" : "$lt";
+
+  return {
+    $and: [
+      query,
+      {
+        $or: [
+          { createdAt: { [past]: createdAt } },
+          { createdAt, _id: { [past]: id } },
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * Fetch limit+1 to learn whether there's more, then build the page.
+ * `runQuery(filter, limit)` must sort by TIME_SORT (TIME_SORT_ASC if ascending).
+ */
+async function timePage(baseQuery, req, runQuery, { ascending = false } = {}) {
+  const limit = getLimit(req);
+  const filter = applyTimeCursor(baseQuery, req.query.cursor, { ascending });
+
+  const rows = await runQuery(filter, limit + 1);
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+
+  const last = items[items.length - 1];
+  const nextCursor =
+    hasMore && last
+      ? encodeCursor({ t: new Date(last.createdAt).toISOString(), id: String(last._id) })
+      : null;
+
+  return { items, limit, hasMore, nextCursor };
+}
+
+/* ------------------------------------------------------------------------ */
+/* Ranked snapshots                                                         */
+/* ------------------------------------------------------------------------ */
+
+function createMemoryDriver() {
+  const snapshots = new Map();
+  return {
+    name: "memory",
+    async insert(snapshot) {
+      snapshots.set(snapshot._id, { ...snapshot });
+    },
+    async find(id) {
+      const s = snapshots.get(id);
+      if (!s) return null;
+      if (s.expiresAt <= new Date()) {
+        snapshots.delete(id);
+        return null;
+      }
+      return s;
+    },
+  };
+}
+
+function createMongoDriver() {
+  const FeedSnapshot = require("../models/FeedSnapshot");
+  return {
+    name: "mongo",
+    async insert(snapshot) {
+      await FeedSnapshot.create(snapshot);
+    },
+    async find(id) {
+      const s = await FeedSnapshot.findById(id).lean();
+      return s && s.expiresAt > new Date() ? s : null;
+    },
+  };
+}
+
+const DRIVERS = {
+  memory: createMemoryDriver,
+  mongo: createMongoDriver,
+};
+
+let driver = null;
+
+function useDriver(name) {
+  const factory = DRIVERS[name];
+  if (!factory) throw new Error(`Unknown feed snapshot driver: ${name}`);
+  driver = factory();
+  return driver;
+}
+
+function getDriver() {
+  return driver || useDriver(process.env.FEED_SNAPSHOT_STORE || "mongo");
+}
+
+/**
+ * One page of a ranked feed.
+ *
+ *   buildRanking()  -> ordered [{ id, explain? }]; only called for page 1
+ *   loadItems(ids)  -> documents for those ids (any order)
+ *
+ * kind/ownerId pin a snapshot to the feed (and user) that created it.
+ * With `explain`, each entry's explain object is kept in the snapshot and
+ * returned on its item as `_explain` (rank included).
+ */
+async function rankedPage(req, { kind, ownerId = null, explain = false, buildRanking, loadItems }) {
+  const limit = getLimit(req);
+  const cursor = decodeCursor(req.query.cursor);
+  const store = getDriver();
+
+  let snapshot;
+  let offset = 0;
+
+  if (cursor) {
+    snapshot = typeof cursor.s === "string" ? await store.find(cursor.s) : null;
+    if (!snapshot) throw new CursorError("Feed cursor expired; reload the feed.", 410);
+    if (
+      snapshot.kind !== kind ||
+      String(snapshot.ownerId || "") !== String(ownerId || "") ||
+      !!snapshot.explain !== explain
+    ) {
+      throw new CursorError("Invalid cursor");
+    }
+    offset = Math.max(parseInt(cursor.o, 10) || 0, 0);
+  } else {
+    const ranking = await buildRanking();
+    snapshot = {
+      _id: crypto.randomBytes(12).toString("base64url"),
+      kind,
+      ownerId,
+      ids: ranking.map((r) => r.id),
+      explain: explain ? ranking.map((r) => r.explain || null) : undefined,
+      expiresAt: new Date(Date.now() + SNAPSHOT_TTL_MS),
+    };
+    await store.insert(snapshot);
+  }
+
+  const pageIds = snapshot.ids.slice(offset, offset + limit).map(String);
+  const docs = pageIds.length ? await loadItems(pageIds) : [];
+
+  // Keep snapshot order; anything deleted since page 1 just drops out
+  const byId = new Map(docs.map((d) => [String(d._id), d]));
+  const items = [];
+  pageIds.forEach((id, i) => {
+    const doc = byId.get(id);
+    if (!doc) return;
+    if (!explain) return items.push(doc);
+
+    const item = typeof doc.toObject === "function" ? doc.toObject() : doc;
+    item._explain = { rank: offset + i + 1, ...snapshot.explain[offset + i] };
+    items.push(item);
+  });
+
+  const nextOffset = offset + pageIds.length;
+  const hasMore = nextOffset < snapshot.ids.length;
+
+  return {
+    items,
+    limit,
+    total: snapshot.ids.length,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor({ s: snapshot._id, o: nextOffset }) : null,
+  };
+}
+
+/** Shared catch-block helper: cursor problems are the client's, not a 500. */
+function sendCursorError(res, err) {
+  if (err instanceof CursorError) {
+    res.status(err.status).json({ error: err.message });
+    return true;
+  }
+  return false;
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  TIME_SORT,
+  TIME_SORT_ASC,
+  CursorError,
+  useDriver,
+  getLimit,
+  encodeCursor,
+  decodeCursor,
+  applyTimeCursor,
+  timePage,
+  rankedPage,
+  sendCursorError,
+};
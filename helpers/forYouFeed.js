@@ -0,0 +1,495 @@
+// helpers/forYouFeed.js
+// Materialized "For You" feeds. Scoring a user's mix touches three candidate
+// queries, so it runs here — on a timer for recently active readers, or lazily
+// when a feed is missing / stale — and the route just reads the stored ids.
+//
+// Cache drivers (FOR_YOU_CACHE, same pattern as helpers/sessionStore.js):
+//   "mongo" (default) – one capped document per user in for_you_feeds
+//   "memory"          – in-process LRU, for small single-instance deploys
+//
+// Invalidation: markStale(userId) when a user's interests change,
+// invalidateFriendsOf(authorId) when someone posts, dropFeed(userId) when the
+// user hides a post and the change has to show on their very next read.
+const mongoose = require("mongoose");
+
+const Bulletin = require("../models/Bulletin");
+const Friendship = require("../models/Friendship");
+const User = require("../models/User");
+const { TIME_SORT } = require("./feedPaging");
+const { hotScore } = require("./ranking");
+const { decayedInterests } = require("./interests");
+const { PUBLISHED } = require("./bulletinStatus");
+
+const MINUTE = 60 * 1000;
+
+// Ids kept per user (the collection cap)
+const FEED_SIZE = 100;
+// Candidate caps per source (previously unbounded)
+const SOURCE_LIMIT = 400;
+const TRENDING_SOURCE_LIMIT = 500;
+const CANDIDATE_FIELDS = "_id userId tags likes reposts commentCount viewCount createdAt";
+
+// A fresh feed is served as-is for this long
+const FEED_MAX_AGE_MS = Number(process.env.FOR_YOU_MAX_AGE_MS) || 15 * MINUTE;
+// Stale feeds are rebuilt at most this often (interest bumps come in bursts)
+const MIN_REBUILD_MS = 60 * 1000;
+// The materializer keeps feeds warm for users who read within this window
+const ACTIVE_READER_MS = 24 * 60 * MINUTE;
+const MATERIALIZE_INTERVAL_MS = Number(process.env.FOR_YOU_INTERVAL_MS) || 10 * MINUTE;
+const MATERIALIZE_BATCH = 200;
+
+const LRU_MAX_USERS = Number(process.env.FOR_YOU_LRU_MAX) || 5000;
+
+async function getFriendIds(userId) {
+  const friendships = await Friendship.find({
+    $or: [
+      { requester: userId, status: "accepted" },
+      { recipient: userId, status: "accepted" },
+    ],
+  })
+    .select("requester recipient")
+    .lean();
+
+  return friendships.map((f) =>
+    f.requester.toString() === String(userId) ? f.recipient : f.requester
+  );
+}
+
+// Shape stored per feed item; `components` is what ?explain=1 shows
+const toEntry = (b, bucket, components) => ({
+  id: b._id,
+  bucket,
+  score: b._score,
+  components,
+});
+
+// Score the For You buckets for one user -> entries, best first per bucket.
+// Mixing the buckets together happens per request (helpers/feedMixing.js).
+async function buildForYouEntries(user) {
+  const userId = String(user._id);
+  const now = Date.now();
+
+  // Windows
+  const INTEREST_WINDOW_DAYS = 21; // ~3 weeks
+  const FRIEND_WINDOW_DAYS = 4;    // super fresh friend posts
+  const TRENDING_WINDOW_DAYS_LOCAL = 21;
+
+  const interestSince = new Date(now - INTEREST_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const friendSince = new Date(now - FRIEND_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const trendingSince = new Date(now - TRENDING_WINDOW_DAYS_LOCAL * 24 * 60 * 60 * 1000);
+
+  // Hidden posts never come back, from any bucket
+  const hiddenIds = (user.hiddenBulletins || []).map(String);
+  const notHidden = hiddenIds.length ? { _id: { $nin: user.hiddenBulletins } } : {};
+  const visible = { ...PUBLISHED, ...notHidden };
+
+  // -----------------------------------------------------------------------
+  // 1) Build tag map / interest-based posts
+  // -----------------------------------------------------------------------
+  // Decayed as of now; negative weights are tags the user asked to see less of
+  const tagMap = decayedInterests(
+    user.interestTags,
+    user.interestTagsDecayedAt,
+    now,
+    user.followedTags
+  );
+  const entries = Object.entries(tagMap);
+
+  // Sum of weights for a post's tags (negatives included)
+  const affinityOf = (b) =>
+    (b.tags || []).reduce((sum, tag) => sum + (tagMap[tag] || 0), 0);
+  // Only the demotions, for buckets that aren't picked by tag
+  const penaltyOf = (b) =>
+    (b.tags || []).reduce((sum, tag) => sum + Math.min(tagMap[tag] || 0, 0), 0);
+
+  let interestPosts = [];
+  const positive = entries.filter(([, weight]) => weight > 0);
+
+  if (positive.length) {
+    // top 15 tags
+    positive.sort((a, b) => b[1] - a[1]);
+    const topTags = positive.slice(0, 15).map(([tag]) => tag);
+
+    const interestCandidates = await Bulletin.find({
+      ...visible,
+      createdAt: { $gte: interestSince },
+      tags: { $in: topTags },
+    })
+      .sort(TIME_SORT)
+      .limit(SOURCE_LIMIT)
+      .select(CANDIDATE_FIELDS)
+      .lean();
+
+    interestPosts = interestCandidates.map((b) => {
+      const ageHours =
+        (now - new Date(b.createdAt).getTime()) / (1000 * 60 * 60);
+
+      const notes = (b.likes?.length || 0) + (b.reposts?.length || 0);
+
+      const components = {
+        tagAffinity: affinityOf(b),            // personalization
+        recency: Math.max(0, 15 - ageHours),
+        engagement: Math.log1p(notes),         // popularity
+      };
+      const score = components.tagAffinity + components.recency + components.engagement;
+
+      return { ...b, _score: score, _components: components };
+    });
+
+    interestPosts.sort((a, b) => b._score - a._score);
+  }
+
+  // -----------------------------------------------------------------------
+  // 2) Friend posts (very recent)
+  // -----------------------------------------------------------------------
+  const friendIds = await getFriendIds(userId);
+
+  const friendObjectIds = friendIds.map((id) => new mongoose.Types.ObjectId(id));
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+
+  let friendPosts = [];
+
+  if (friendObjectIds.length) {
+    const friendCandidates = await Bulletin.find({
+      ...visible,
+      createdAt: { $gte: friendSince },
+      userId: { $in: [...friendObjectIds, userObjectId] },
+    })
+      .sort(TIME_SORT)
+      .limit(SOURCE_LIMIT)
+      .select(CANDIDATE_FIELDS)
+      .lean();
+
+    friendPosts = friendCandidates.map((b) => {
+      const ageHours =
+        (now - new Date(b.createdAt).getTime()) / (1000 * 60 * 60);
+      const notes = (b.likes?.length || 0) + (b.reposts?.length || 0) + (b.commentCount || 0);
+
+      const components = {
+        tagAffinity: penaltyOf(b),           // demoted tags only
+        recency: Math.max(0, 24 - ageHours), // very recency-weighted
+        engagement: Math.log1p(notes),       // engagement at least a bit
+      };
+      const score = components.tagAffinity + components.recency + components.engagement;
+
+      return { ...b, _score: score, _components: components };
+    });
+
+    friendPosts.sort((a, b) => b._score - a._score);
+  }
+
+  // -----------------------------------------------------------------------
+  // 3) Trending posts (sitewide, last 3 weeks, original posts and quotes)
+  // -----------------------------------------------------------------------
+  const trendingCandidates = await Bulletin.find({
+    ...visible,
+    $or: [{ repostOf: null }, { isQuote: true }],
+    createdAt: { $gte: trendingSince },
+  })
+    .sort(TIME_SORT)
+    .limit(TRENDING_SOURCE_LIMIT)
+    .select(CANDIDATE_FIELDS)
+    .lean();
+
+  let trendingPosts = trendingCandidates.map((b) => {
+    const { score, engagement, recency } = hotScore(b, now);
+    // Hot scores are tiny, so a demoted tag scales the score down instead
+    const penalty = penaltyOf(b);
+    const components = { tagAffinity: penalty, recency, engagement };
+    return { ...b, _score: score / (1 + Math.abs(penalty)), _components: components };
+  });
+
+  trendingPosts.sort((a, b) => b._score - a._score);
+
+  // -----------------------------------------------------------------------
+  // 4) Deduplicate IDs across buckets
+  // -----------------------------------------------------------------------
+  const seen = new Set();
+
+  const dedupe = (arr) => {
+    const out = [];
+    for (const item of arr) {
+      const id = item._id.toString();
+      if (!seen.has(id)) {
+        seen.add(id);
+        out.push(item);
+      }
+    }
+    return out;
+  };
+
+  interestPosts = dedupe(interestPosts);
+  friendPosts = dedupe(friendPosts);
+  trendingPosts = dedupe(trendingPosts);
+
+  // -----------------------------------------------------------------------
+  // 5) Choose counts from each bucket
+  // -----------------------------------------------------------------------
+  const MAX_TOTAL = FEED_SIZE;
+
+  const targetInterest = Math.floor(MAX_TOTAL * 0.5); // ~50%
+  const targetFriends = Math.floor(MAX_TOTAL * 0.3);  // ~30%
+  const targetTrending = MAX_TOTAL - targetInterest - targetFriends; // ~20%
+
+  const chosenInterest = interestPosts.slice(0, targetInterest);
+  const remainingAfterInterest = MAX_TOTAL - chosenInterest.length;
+
+  const chosenFriends = friendPosts.slice(
+    0,
+    Math.min(targetFriends, remainingAfterInterest)
+  );
+  const remainingAfterFriends =
+    MAX_TOTAL - chosenInterest.length - chosenFriends.length;
+
+  const chosenTrending = trendingPosts.slice(
+    0,
+    Math.min(targetTrending, remainingAfterFriends)
+  );
+
+  const combined = [
+    ...chosenInterest.map((b) => toEntry(b, "interest", b._components)),
+    ...chosenFriends.map((b) => toEntry(b, "friends", b._components)),
+    ...chosenTrending.map((b) => toEntry(b, "trending", b._components)),
+  ];
+
+  // If user has no interest tags at all, or buckets are super small,
+  // fall back to just "recent everything" so feed isn't empty.
+  if (!combined.length) {
+    const fallback = await Bulletin.find(visible)
+      .sort(TIME_SORT)
+      .limit(MAX_TOTAL)
+      .select("_id")
+      .lean();
+
+    return fallback.map((b) => toEntry({ ...b, _score: 0 }, "recent", null));
+  }
+
+  return combined;
+}
+
+/* ------------------------------------------------------------------------ */
+/* Cache drivers                                                            */
+/* ------------------------------------------------------------------------ */
+
+// Record shape: { userId, entries, builtAt, lastReadAt, stale }
+
+function createMemoryDriver() {
+  // Map iteration order doubles as LRU order (oldest first)
+  const feeds = new Map();
+
+  const touch = (key, record) => {
+    feeds.delete(key);
+    feeds.set(key, record);
+    while (feeds.size > LRU_MAX_USERS) {
+      feeds.delete(feeds.keys().next().value);
+    }
+  };
+
+  return {
+    name: "memory",
+    async get(userId) {
+      const key = String(userId);
+      const record = feeds.get(key);
+      if (!record) return null;
+      record.lastReadAt = new Date();
+      touch(key, record);
+      return { ...record };
+    },
+    async put(userId, entries) {
+      const key = String(userId);
+      const prev = feeds.get(key);
+      touch(key, {
+        userId: key,
+        entries: entries.slice(0, FEED_SIZE),
+        builtAt: new Date(),
+        lastReadAt: prev?.lastReadAt || new Date(),
+        stale: false,
+      });
+    },
+    async markStale(userIds) {
+      for (const id of userIds) {
+        const record = feeds.get(String(id));
+        if (record) record.stale = true;
+      }
+    },
+    async remove(userId) {
+      feeds.delete(String(userId));
+    },
+    async dueForRefresh(builtBefore, readSince, limit) {
+      const out = [];
+      for (const record of feeds.values()) {
+        if (record.lastReadAt < readSince) continue;
+        if (!record.stale && record.builtAt >= builtBefore) continue;
+        out.push(record.userId);
+        if (out.length >= limit) break;
+      }
+      return out;
+    },
+  };
+}
+
+function createMongoDriver() {
+  const ForYouFeed = require("../models/ForYouFeed");
+
+  return {
+    name: "mongo",
+    async get(userId) {
+      return ForYouFeed.findOneAndUpdate(
+        { _id: userId },
+        { $set: { lastReadAt: new Date() } },
+        { new: true }
+      ).lean();
+    },
+    async put(userId, entries) {
+      await ForYouFeed.updateOne(
+        { _id: userId },
+        {
+          $set: { entries: entries.slice(0, FEED_SIZE), builtAt: new Date(), stale: false },
+          $setOnInsert: { lastReadAt: new Date() },
+        },
+        { upsert: true }
+      );
+    },
+    async markStale(userIds) {
+      if (!userIds.length) return;
+      await ForYouFeed.updateMany({ _id: { $in: userIds } }, { $set: { stale: true } });
+    },
+    async remove(userId) {
+      await ForYouFeed.deleteOne({ _id: userId });
+    },
+    async dueForRefresh(builtBefore, readSince, limit) {
+      const rows = await ForYouFeed.find({
+        lastReadAt: { $gte: readSince },
+        $or: [{ stale: true }, { builtAt: { $lt: builtBefore } }],
+      })
+        .sort({ lastReadAt: -1 })
+        .limit(limit)
+        .select("_id")
+        .lean();
+      return rows.map((r) => r._id);
+    },
+  };
+}
+
+const DRIVERS = {
+  memory: createMemoryDriver,
+  mongo: createMongoDriver,
+};
+
+let driver = null;
+
+function useDriver(name) {
+  const factory = DRIVERS[name];
+  if (!factory) throw new Error(`Unknown For You cache driver: ${name}`);
+  driver = factory();
+  return driver;
+}
+
+function getDriver() {
+  return driver || useDriver(process.env.FOR_YOU_CACHE || "mongo");
+}
+
+/* ------------------------------------------------------------------------ */
+/* Public API                                                               */
+/* ------------------------------------------------------------------------ */
+
+/** Score and store one user's feed. Returns the entries. */
+async function materializeFeed(userId) {
+  const user = await User.findById(userId)
+    .select("interestTags interestTagsDecayedAt followedTags hiddenBulletins")
+    .lean();
+  const entries = user ? await buildForYouEntries(user) : [];
+  await getDriver().put(userId, entries);
+  return entries.slice(0, FEED_SIZE);
+}
+
+function needsRebuild(record, now = Date.now()) {
+  if (!record?.entries) return true; // missing, or written before entries existed
+  const age = now - new Date(record.builtAt).getTime();
+  if (record.stale) return age >= MIN_REBUILD_MS;
+  return age >= FEED_MAX_AGE_MS;
+}
+
+/** The user's scored feed entries, from cache when still good. */
+async function getFeedEntries(userId) {
+  const record = await getDriver().get(userId);
+  if (!needsRebuild(record)) return record.entries;
+  return materializeFeed(userId);
+}
+
+/** Interests changed: rebuild on the next read / materializer pass. */
+async function markStale(userId) {
+  await getDriver().markStale([userId]);
+}
+
+/** Throw the cached feed away so the next read rebuilds it (skips the debounce). */
+async function dropFeed(userId) {
+  await getDriver().remove(userId);
+}
+
+/** A new post by authorId belongs in their friends' (and their own) feeds. */
+async function invalidateFriendsOf(authorId) {
+  const friendIds = await getFriendIds(authorId);
+  await getDriver().markStale([authorId, ...friendIds]);
+}
+
+/** One materializer pass: rebuild stale / aging feeds of active readers. */
+async function refreshDueFeeds() {
+  const now = Date.now();
+  const userIds = await getDriver().dueForRefresh(
+    new Date(now - FEED_MAX_AGE_MS),
+    new Date(now - ACTIVE_READER_MS),
+    MATERIALIZE_BATCH
+  );
+
+  for (const userId of userIds) {
+    try {
+      await materializeFeed(userId);
+    } catch (err) {
+      console.error(`For You materialize failed for ${userId}:`, err);
+    }
+  }
+  return userIds.length;
+}
+
+let timer = null;
+let running = false;
+
+function startFeedMaterializer({ intervalMs = MATERIALIZE_INTERVAL_MS } = {}) {
+  if (timer) return timer;
+
+  timer = setInterval(async () => {
+    if (running) return; // previous pass still going
+    running = true;
+    try {
+      const count = await refreshDueFeeds();
+      if (count) console.log(`🧮 For You materializer rebuilt ${count} feed(s)`);
+    } catch (err) {
+      console.error("For You materializer error:", err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref?.();
+
+  return timer;
+}
+
+function stopFeedMaterializer() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  FEED_SIZE,
+  useDriver,
+  buildForYouEntries,
+  materializeFeed,
+  getFeedEntries,
+  markStale,
+  dropFeed,
+  invalidateFriendsOf,
+  refreshDueFeeds,
+  startFeedMaterializer,
+  stopFeedMaterializer,
+};
@@ -0,0 +1,159 @@
+// helpers/hashtags.js
+// User-written #hashtags and how they sit next to AI tags. A bulletin keeps
+// both sources — hashtags (from the text) and aiTags (from utils/aiTagger.js)
+// — and `tags` is their union, which is what feeds, interests and tag pages
+// query. Older bulletins only have `tags`; all of those came from the AI.
+//
+// Trending tags: the published originals of a window, grouped by tag and
+// scored by posts + engagement, cached briefly per window.
+const Bulletin = require("../models/Bulletin");
+const { PUBLISHED } = require("./bulletinStatus");
+
+// "#tag" not glued to a word before it (so "a#b" and "&#39;" don't count)
+const HASHTAG_REGEX = /(^|[^a-zA-Z0-9_&#])#([a-zA-Z][a-zA-Z0-9_]{0,49})(?![a-zA-Z0-9_])/g;
+// Per bulletin; later ones stay as plain text
+const MAX_HASHTAGS = 10;
+const TAG_MAX = 50;
+// Words of [a-z0-9_] joined by single spaces (AI tags can be "image humor").
+// Tags become keys of User.interestTags, where "." and a leading "$" break.
+const TAG_REGEX = /^[a-z0-9_]+(?: [a-z0-9_]+)*$/;
+
+const TRENDING_WINDOWS = { "24h": 24, "7d": 7 * 24, "30d": 30 * 24 };
+const DEFAULT_TRENDING_WINDOW = "24h";
+const TRENDING_TAG_LIMIT = 20;
+// A tag needs this many different authors to trend (one account can't push it)
+const TRENDING_MIN_AUTHORS = 2;
+const TRENDING_CACHE_MS = 5 * 60 * 1000;
+
+/** Tag as stored / looked up: lowercase, single-spaced, no leading "#". Null if unusable (see TAG_REGEX). */
+function normalizeTag(raw) {
+  const tag = String(raw || "")
+    .trim()
+    .replace(/^#+/, "")
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+  return tag.length <= TAG_MAX && TAG_REGEX.test(tag) ? tag : null;
+}
+
+/** Unique lowercase hashtags in text order, capped at MAX_HASHTAGS. */
+function extractHashtags(text) {
+  const tags = new Set();
+  for (const match of String(text || "").matchAll(HASHTAG_REGEX)) {
+    tags.add(match[2].toLowerCase());
+    if (tags.size >= MAX_HASHTAGS) break;
+  }
+  return [...tags];
+}
+
+/**
+ * Set hashtags / aiTags / tags on a bulletin. `aiTags` null means tagging
+ * failed this time: keep the AI tags it already had.
+ */
+function applyTags(bulletin, { hashtags, aiTags }) {
+  const previousAi = bulletin.aiTags?.length
+    ? bulletin.aiTags
+    : (bulletin.tags || []).filter((t) => !(bulletin.hashtags || []).includes(t));
+
+  const ai = [...new Set((aiTags || previousAi).map(normalizeTag).filter(Boolean))];
+
+  bulletin.hashtags = hashtags;
+  bulletin.aiTags = ai;
+  bulletin.tags = [...new Set([...hashtags, ...ai])];
+}
+
+/** [{ tag, source: "hashtag" | "ai" | "both" }] for a bulletin. */
+function tagSources(bulletin) {
+  const hashtags = new Set(bulletin.hashtags || []);
+  const ai = new Set(
+    bulletin.aiTags?.length ? bulletin.aiTags : (bulletin.tags || []).filter((t) => !hashtags.has(t))
+  );
+  return (bulletin.tags || []).map((tag) => ({
+    tag,
+    source: hashtags.has(tag) ? (ai.has(tag) ? "both" : "hashtag") : "ai",
+  }));
+}
+
+/* ------------------------------------------------------------------------ */
+/* Trending                                                                 */
+/* ------------------------------------------------------------------------ */
+
+const trendingCache = new Map(); // window -> { at, tags }
+
+async function computeTrendingTags(windowKey, now = Date.now()) {
+  const since = new Date(now - TRENDING_WINDOWS[windowKey] * 60 * 60 * 1000);
+
+  return Bulletin.aggregate([
+    {
+      $match: {
+        ...PUBLISHED,
+        approved: true,
+        $or: [{ repostOf: null }, { isQuote: true }],
+        createdAt: { $gte: since },
+        "tags.0": { $exists: true },
+      },
+    },
+    {
+      $project: {
+        userId: 1,
+        tags: 1,
+        hashtags: { $ifNull: ["$hashtags", []] },
+        engagement: {
+          $add: [
+            { $size: { $ifNull: ["$likes", []] } },
+            { $multiply: [2, { $size: { $ifNull: ["$reposts", []] } }] },
+            { $multiply: [2, { $ifNull: ["$commentCount", 0] }] },
+          ],
+        },
+      },
+    },
+    { $unwind: "$tags" },
+    {
+      $group: {
+        _id: "$tags",
+        posts: { $sum: 1 },
+        hashtagPosts: { $sum: { $cond: [{ $in: ["$tags", "$hashtags"] }, 1, 0] } },
+        engagement: { $sum: "$engagement" },
+        authors: { $addToSet: "$userId" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        tag: "$_id",
+        posts: 1,
+        hashtagPosts: 1,
+        engagement: 1,
+        authors: { $size: "$authors" },
+      },
+    },
+    { $match: { authors: { $gte: TRENDING_MIN_AUTHORS } } },
+    {
+      $addFields: {
+        score: { $add: [{ $multiply: ["$posts", 3] }, "$engagement", { $multiply: ["$authors", 2] }] },
+      },
+    },
+    { $sort: { score: -1, tag: 1 } },
+    { $limit: TRENDING_TAG_LIMIT },
+  ]);
+}
+
+/** Trending tags for a window key ("24h" | "7d" | "30d"). */
+async function trendingTags(windowKey = DEFAULT_TRENDING_WINDOW) {
+  const cached = trendingCache.get(windowKey);
+  if (cached && Date.now() - cached.at < TRENDING_CACHE_MS) return cached.tags;
+
+  const tags = await computeTrendingTags(windowKey);
+  trendingCache.set(windowKey, { at: Date.now(), tags });
+  return tags;
+}
+
+module.exports = {
+  MAX_HASHTAGS,
+  TRENDING_WINDOWS,
+  DEFAULT_TRENDING_WINDOW,
+  normalizeTag,
+  extractHashtags,
+  applyTags,
+  tagSources,
+  trendingTags,
+};
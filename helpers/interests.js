@@ -0,0 +1,175 @@
+// helpers/interests.js
+// User.interestTags: tag -> weight. Positive interactions push a tag up,
+// "hide" / "show less like this" push it down (weights can go negative, which
+// demotes the tag in For You), and every weight decays toward zero with a
+// half-life so old interests fade instead of sitting at the cap forever.
+// Followed tags (User.followedTags) never decay below FOLLOWED_TAG_WEIGHT.
+//
+// Callers mark the user's For You feed stale after adjusting.
+const User = require("../models/User");
+const { normalizeTag } = require("./hashtags");
+
+const INTERACTION_WEIGHTS = {
+  like: 3,
+  repost: 4,
+  quote: 5,
+  comment: 4,
+  vote: 2,
+  view: 0.5,
+  hide: -3,
+  show_less: -8,
+};
+
+const MAX_WEIGHT = 200;
+const MIN_WEIGHT = -100;
+// Weights closer to zero than this are dropped after decay
+const PRUNE_BELOW = 0.5;
+
+// Floor for a followed tag, roughly a handful of likes' worth
+const FOLLOWED_TAG_WEIGHT = 20;
+const MAX_FOLLOWED_TAGS = 100;
+
+const DAY = 24 * 60 * 60 * 1000;
+const HALF_LIFE_DAYS = Number(process.env.INTEREST_HALF_LIFE_DAYS) || 30;
+
+const entriesOf = (tagMap) =>
+  tagMap instanceof Map ? Array.from(tagMap.entries()) : Object.entries(tagMap || {});
+
+/**
+ * Decayed copy of a tag map as of `now` (plain object).
+ * `since` is when the weights were last decayed (User.interestTagsDecayedAt);
+ * followed tags are lifted to FOLLOWED_TAG_WEIGHT.
+ */
+function decayedInterests(tagMap, since, now = Date.now(), followedTags = []) {
+  const elapsedDays = since ? Math.max(0, (now - new Date(since).getTime()) / DAY) : 0;
+  const factor = Math.pow(0.5, elapsedDays / HALF_LIFE_DAYS);
+
+  const out = {};
+  for (const [tag, weight] of entriesOf(tagMap)) {
+    const decayed = weight * factor;
+    if (Math.abs(decayed) >= PRUNE_BELOW) out[tag] = decayed;
+  }
+  for (const tag of followedTags || []) {
+    out[tag] = Math.max(out[tag] || 0, FOLLOWED_TAG_WEIGHT);
+  }
+  return out;
+}
+
+// Stored weights are decayed in place at most this often; readers decay the
+// rest of the way with decayedInterests()
+const DECAY_EVERY = 60 * 60 * 1000;
+
+/**
+ * Decay the stored weights to now, server-side in one update so it can't
+ * race the $inc in adjustInterests. Only runs when the last decay is older
+ * than DECAY_EVERY (concurrent callers: one wins, the rest match nothing).
+ * Applies the followed-tag floor and drops weights that faded to ~zero.
+ */
+async function decayStoredInterests(userId, now = Date.now()) {
+  const since = { $ifNull: ["$interestTagsDecayedAt", "$$NOW"] };
+  const factor = {
+    $pow: [0.5, { $divide: [{ $subtract: ["$$NOW", since] }, HALF_LIFE_DAYS * DAY] }],
+  };
+  const decayed = { $multiply: ["$$t.v", factor] };
+
+  await User.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { interestTagsDecayedAt: null },
+        { interestTagsDecayedAt: { $lt: new Date(now - DECAY_EVERY) } },
+      ],
+    },
+    [
+      {
+        $set: {
+          interestTags: {
+            $arrayToObject: {
+              $filter: {
+                input: {
+                  $map: {
+                    input: { $objectToArray: { $ifNull: ["$interestTags", {}] } },
+                    as: "t",
+                    in: {
+                      k: "$$t.k",
+                      v: {
+                        $cond: [
+                          { $in: ["$$t.k", { $ifNull: ["$followedTags", []] }] },
+                          { $max: [decayed, FOLLOWED_TAG_WEIGHT] },
+                          decayed,
+                        ],
+                      },
+                    },
+                  },
+                },
+                as: "t",
+                cond: { $gte: [{ $abs: "$$t.v" }, PRUNE_BELOW] },
+              },
+            },
+          },
+          interestTagsDecayedAt: "$$NOW",
+        },
+      },
+    ]
+  );
+}
+
+/**
+ * Add `delta` to each tag's weight with $inc, so concurrent interactions
+ * all count. Stored weights are decayed first when due; the clamp to
+ * [MIN_WEIGHT, MAX_WEIGHT] is a second update in the direction of `delta`.
+ */
+async function adjustInterests(userId, tags, delta) {
+  // Older AI tags may not be usable as keys (e.g. "node.js"); skip those
+  const usable = [...new Set((tags || []).filter((t) => normalizeTag(t) === t))];
+  if (!userId || !usable.length || !delta) return;
+
+  await decayStoredInterests(userId);
+
+  const paths = (value) => Object.fromEntries(usable.map((t) => [`interestTags.${t}`, value]));
+  const { matchedCount } = await User.updateOne({ _id: userId }, { $inc: paths(delta) });
+  if (!matchedCount) return;
+
+  await User.updateOne(
+    { _id: userId },
+    delta > 0 ? { $min: paths(MAX_WEIGHT) } : { $max: paths(MIN_WEIGHT) }
+  );
+}
+
+/**
+ * Follow a tag: adds it to followedTags and lifts its weight to the floor.
+ * Returns { followedTags } or { error, status }.
+ */
+async function followTag(userId, tag) {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, [`followedTags.${MAX_FOLLOWED_TAGS - 1}`]: { $exists: false } },
+    { $addToSet: { followedTags: tag }, $max: { [`interestTags.${tag}`]: FOLLOWED_TAG_WEIGHT } },
+    { new: true, select: "followedTags" }
+  ).lean();
+  if (user) return { followedTags: user.followedTags };
+
+  // No match: either the user is gone or already at the limit
+  const existing = await User.findById(userId).select("followedTags").lean();
+  if (!existing) return { error: "User not found", status: 404 };
+  if (existing.followedTags.includes(tag)) return { followedTags: existing.followedTags };
+  return { error: `You can follow up to ${MAX_FOLLOWED_TAGS} tags.`, status: 400 };
+}
+
+/** Unfollow: the weight stays and decays like any other interest. */
+async function unfollowTag(userId, tag) {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $pull: { followedTags: tag } },
+    { new: true, select: "followedTags" }
+  ).lean();
+  return user ? { followedTags: user.followedTags } : { error: "User not found", status: 404 };
+}
+
+module.exports = {
+  INTERACTION_WEIGHTS,
+  FOLLOWED_TAG_WEIGHT,
+  decayedInterests,
+  adjustInterests,
+  followTag,
+  unfollowTag,
+};
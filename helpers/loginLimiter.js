@@ -0,0 +1,360 @@
+// helpers/loginLimiter.js
+// Brute-force protection for every login endpoint.
+//
+// Two sliding windows per attempt:
+//   - per account ("<app>:acct:<subject>") – locks the account, progressively longer
+//   - per IP      ("<app>:ip:<ip>")        – throttles credential stuffing
+// Every lock / unlock is written to an audit trail.
+//
+// Drivers mirror helpers/sessionStore.js:
+//   "mongo"  (default) – counters survive restarts and are shared across instances
+//   "memory"           – in-process Maps, for tests
+//
+// Pick one with LOGIN_LIMITER_STORE=memory|mongo, or call useDriver() in tests.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const ACCOUNT_POLICY = {
+  maxAttempts: Number(process.env.LOGIN_MAX_ATTEMPTS) || 5, // failures allowed per window
+  windowMs: Number(process.env.LOGIN_WINDOW_MS) || 15 * MINUTE,
+  lockMs: Number(process.env.LOGIN_LOCK_MS) || 15 * MINUTE, // first lock; doubles each time
+  maxLockMs: 24 * HOUR,
+};
+
+const IP_POLICY = {
+  maxAttempts: Number(process.env.LOGIN_IP_MAX_ATTEMPTS) || 30,
+  windowMs: 15 * MINUTE,
+  lockMs: 15 * MINUTE,
+  maxLockMs: 6 * HOUR,
+};
+
+// How long a lock streak is remembered (drives the progressive lock length)
+const STREAK_MEMORY_MS = 24 * HOUR;
+
+function emptyState() {
+  return { failures: [], lockedUntil: null, lockCount: 0 };
+}
+
+function parseKey(key) {
+  const [app, kind, ...rest] = String(key).split(":");
+  return { app, scope: kind === "ip" ? "ip" : "account", subject: rest.join(":") };
+}
+
+/**
+ * One failed attempt applied to a key's state: drop failures older than the
+ * window, add this one, and lock once maxAttempts land (each lock in a streak
+ * twice as long as the last). Returns the new state plus when the key can be
+ * forgotten. The mongo driver runs the same steps as one pipeline update.
+ */
+function applyFailure(state, now, { maxAttempts, windowMs, lockMs, maxLockMs }) {
+  const next = { ...state };
+  next.failures = state.failures
+    .map((d) => new Date(d))
+    .filter((d) => now - d.getTime() < windowMs);
+  next.failures.push(new Date(now));
+
+  if (next.failures.length >= maxAttempts) {
+    next.lockedUntil = new Date(now + Math.min(lockMs * 2 ** (state.lockCount || 0), maxLockMs));
+    next.lockCount = (state.lockCount || 0) + 1;
+    next.failures = [];
+  }
+
+  const lockedUntilMs = next.lockedUntil ? new Date(next.lockedUntil).getTime() : 0;
+  const expiresAt = new Date(
+    Math.max(now + windowMs, lockedUntilMs, next.lockCount ? now + STREAK_MEMORY_MS : 0)
+  );
+  return { ...next, expiresAt };
+}
+
+/* ------------------------------------------------------------------------ */
+/* Drivers                                                                  */
+/* ------------------------------------------------------------------------ */
+
+function createMemoryDriver() {
+  const entries = new Map();
+  const events = [];
+
+  return {
+    name: "memory",
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      const { expiresAt, ...state } = entry;
+      return { ...state, failures: [...state.failures] };
+    },
+    // Read and write with no await in between, so concurrent calls can't interleave
+    async addFailure(key, now, policy) {
+      const entry = entries.get(key);
+      const state = entry && entry.expiresAt > now ? entry : emptyState();
+      const { expiresAt, ...next } = applyFailure(state, now, policy);
+      entries.set(key, { ...next, expiresAt: expiresAt.getTime() });
+      return { ...next, failures: [...next.failures] };
+    },
+    async remove(key) {
+      entries.delete(key);
+    },
+    async listLocked(now) {
+      const out = [];
+      for (const [key, entry] of entries) {
+        if (entry.lockedUntil && new Date(entry.lockedUntil).getTime() > now) {
+          out.push({ key, lockedUntil: entry.lockedUntil, lockCount: entry.lockCount });
+        }
+      }
+      return out;
+    },
+    async logEvent(event) {
+      events.unshift({ ...event, createdAt: new Date() });
+    },
+    async listEvents({ limit }) {
+      return events.slice(0, limit);
+    },
+  };
+}
+
+function createMongoDriver() {
+  // Required lazily so the memory driver works without a Mongo connection
+  const LoginThrottle = require("../models/LoginThrottle");
+  const LockoutEvent = require("../models/LockoutEvent");
+
+  return {
+    name: "mongo",
+    async get(key) {
+      const doc = await LoginThrottle.findById(key).lean();
+      if (!doc || doc.expiresAt <= new Date()) return null;
+      return {
+        failures: doc.failures || [],
+        lockedUntil: doc.lockedUntil,
+        lockCount: doc.lockCount || 0,
+      };
+    },
+    // applyFailure() as a single upserting pipeline update, so parallel
+    // failures can't read the same count and overwrite each other
+    async addFailure(key, now, { maxAttempts, windowMs, lockMs, maxLockMs }) {
+      const at = new Date(now);
+      const live = { $gt: ["$expiresAt", at] };
+      const locking = { $gte: [{ $size: "$failures" }, maxAttempts] };
+
+      const doc = await LoginThrottle.findOneAndUpdate(
+        { _id: key },
+        [
+          {
+            $set: {
+              failures: {
+                $concatArrays: [
+                  {
+                    $filter: {
+                      input: { $cond: [live, { $ifNull: ["$failures", []] }, []] },
+                      cond: { $gt: ["$$this", new Date(now - windowMs)] },
+                    },
+                  },
+                  [at],
+                ],
+              },
+              lockedUntil: { $cond: [live, { $ifNull: ["$lockedUntil", null] }, null] },
+              lockCount: { $cond: [live, { $ifNull: ["$lockCount", 0] }, 0] },
+            },
+          },
+          {
+            $set: {
+              lockedUntil: {
+                $cond: [
+                  locking,
+                  { $add: [at, { $min: [{ $multiply: [lockMs, { $pow: [2, "$lockCount"] }] }, maxLockMs] }] },
+                  "$lockedUntil",
+                ],
+              },
+              lockCount: { $cond: [locking, { $add: ["$lockCount", 1] }, "$lockCount"] },
+              failures: { $cond: [locking, [], "$failures"] },
+            },
+          },
+          {
+            $set: {
+              expiresAt: {
+                $max: [
+                  new Date(now + windowMs),
+                  { $ifNull: ["$lockedUntil", at] },
+                  { $cond: [{ $gt: ["$lockCount", 0] }, new Date(now + STREAK_MEMORY_MS), at] },
+                ],
+              },
+            },
+          },
+        ],
+        { upsert: true, new: true }
+      ).lean();
+
+      return { failures: doc.failures, lockedUntil: doc.lockedUntil, lockCount: doc.lockCount };
+    },
+    async remove(key) {
+      await LoginThrottle.deleteOne({ _id: key });
+    },
+    async listLocked(now) {
+      const docs = await LoginThrottle.find({ lockedUntil: { $gt: new Date(now) } })
+        .sort({ lockedUntil: -1 })
+        .lean();
+      return docs.map((d) => ({ key: d._id, lockedUntil: d.lockedUntil, lockCount: d.lockCount }));
+    },
+    async logEvent(event) {
+      await LockoutEvent.create(event);
+    },
+    async listEvents({ limit }) {
+      return LockoutEvent.find().sort({ createdAt: -1 }).limit(limit).lean();
+    },
+  };
+}
+
+const DRIVERS = {
+  memory: createMemoryDriver,
+  mongo: createMongoDriver,
+};
+
+let driver = null;
+
+function useDriver(name) {
+  const factory = DRIVERS[name];
+  if (!factory) throw new Error(`Unknown login limiter driver: ${name}`);
+  driver = factory();
+  return driver;
+}
+
+function getDriver() {
+  return driver || useDriver(process.env.LOGIN_LIMITER_STORE || "mongo");
+}
+
+/* ------------------------------------------------------------------------ */
+/* Key-level API                                                            */
+/* ------------------------------------------------------------------------ */
+
+/** { locked, retryAfterMs } for a key. */
+async function checkLock(key, now = Date.now()) {
+  const state = await getDriver().get(key);
+  const until = state?.lockedUntil ? new Date(state.lockedUntil).getTime() : 0;
+  return until > now
+    ? { locked: true, retryAfterMs: until - now }
+    : { locked: false, retryAfterMs: 0 };
+}
+
+/**
+ * Count a failed attempt. Locks the key once `maxAttempts` failures land
+ * inside `windowMs`; each lock in a streak lasts twice as long as the last.
+ * Returns { locked, retryAfterMs, remaining }.
+ */
+async function recordFailure(key, policy = ACCOUNT_POLICY, { ip = null } = {}) {
+  const fullPolicy = { ...ACCOUNT_POLICY, ...policy };
+  const now = Date.now();
+  const store = getDriver();
+
+  const state = await store.addFailure(key, now, fullPolicy);
+  // Every failure that doesn't lock leaves itself in the window
+  const locked = state.failures.length === 0;
+
+  if (locked) {
+    await store.logEvent({
+      key,
+      ...parseKey(key),
+      event: "locked",
+      lockedUntil: state.lockedUntil,
+      lockCount: state.lockCount,
+      ip,
+    });
+  }
+
+  return {
+    locked,
+    retryAfterMs: locked ? new Date(state.lockedUntil).getTime() - now : 0,
+    remaining: locked ? 0 : fullPolicy.maxAttempts - state.failures.length,
+  };
+}
+
+/** Forget failures (and the lock streak) for a key. */
+async function clearFailures(key) {
+  await getDriver().remove(key);
+}
+
+/** Manually lift a lock (Mainframe admin action). Returns false if not locked. */
+async function unlock(key, { by = null } = {}) {
+  const store = getDriver();
+  const { locked } = await checkLock(key);
+  if (!locked) return false;
+
+  await store.remove(key);
+  await store.logEvent({ key, ...parseKey(key), event: "unlocked", by });
+  return true;
+}
+
+async function listLocked() {
+  const rows = await getDriver().listLocked(Date.now());
+  return rows.map((r) => ({ ...r, ...parseKey(r.key) }));
+}
+
+async function listEvents({ limit = 100 } = {}) {
+  return getDriver().listEvents({ limit: Math.min(Math.max(limit, 1), 500) });
+}
+
+/* ------------------------------------------------------------------------ */
+/* Login-level API (what the routes call)                                   */
+/* ------------------------------------------------------------------------ */
+
+const accountKey = (app, account) => `${app}:acct:${String(account).toLowerCase()}`;
+const ipKey = (app, ip) => `${app}:ip:${ip || "unknown"}`;
+
+/**
+ * Before checking credentials. Returns
+ *   { allowed: true } or { allowed: false, scope: "account"|"ip", retryAfterMs }
+ */
+async function checkLogin({ app, account, ip }) {
+  const byIp = await checkLock(ipKey(app, ip));
+  if (byIp.locked) return { allowed: false, scope: "ip", retryAfterMs: byIp.retryAfterMs };
+
+  const byAccount = await checkLock(accountKey(app, account));
+  if (byAccount.locked) {
+    return { allowed: false, scope: "account", retryAfterMs: byAccount.retryAfterMs };
+  }
+
+  return { allowed: true };
+}
+
+/** After bad credentials: bump both windows. */
+async function loginFailed({ app, account, ip }) {
+  const [byAccount] = await Promise.all([
+    recordFailure(accountKey(app, account), ACCOUNT_POLICY, { ip }),
+    recordFailure(ipKey(app, ip), IP_POLICY, { ip }),
+  ]);
+  return byAccount;
+}
+
+/** After a good login: clear the account's streak (the IP window keeps sliding). */
+async function loginSucceeded({ app, account }) {
+  await clearFailures(accountKey(app, account));
+}
+
+/** Send the standard "locked" / "slow down" response for a checkLogin() denial. */
+function sendLoginBlocked(res, denial) {
+  res.set("Retry-After", String(Math.ceil(denial.retryAfterMs / 1000)));
+  if (denial.scope === "ip") {
+    return res.status(429).json({ error: "Too many login attempts. Try again later." });
+  }
+  return res.status(423).json({ error: "Account temporarily locked. Try again later." });
+}
+
+module.exports = {
+  ACCOUNT_POLICY,
+  IP_POLICY,
+  useDriver,
+  accountKey,
+  ipKey,
+  checkLock,
+  recordFailure,
+  clearFailures,
+  unlock,
+  listLocked,
+  listEvents,
+  checkLogin,
+  loginFailed,
+  loginSucceeded,
+  sendLoginBlocked,
+};
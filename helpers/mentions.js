@@ -0,0 +1,94 @@
+// helpers/mentions.js
+// @handle mentions in bulletins, bulletin comments and thread replies.
+// Handles resolve against User.handle and the result is stored on the
+// document as mentions: [{ user, handle }] — what clients turn into profile
+// links. Someone only ends up there if they'd accept the mention: not banned,
+// no block in either direction, and their privacy.mentions setting lets the
+// author in. Each person is notified once per document; an edit only
+// notifies people who weren't mentioned before.
+const User = require("../models/User");
+const Friendship = require("../models/Friendship");
+const Notification = require("../models/Notification");
+
+// "@handle" not glued to a word before it (so emails don't count)
+const MENTION_REGEX = /(^|[^a-zA-Z0-9_@.])@([a-zA-Z0-9_]{3,30})(?![a-zA-Z0-9_])/g;
+// Per document; later handles are left as plain text
+const MAX_MENTIONS = 10;
+const MENTION_PRIVACY = ["everyone", "friends", "nobody"];
+
+/** Unique lowercase handles in text order, capped at MAX_MENTIONS. */
+function extractHandles(text) {
+  const handles = new Set();
+  for (const match of String(text || "").matchAll(MENTION_REGEX)) {
+    handles.add(match[2].toLowerCase());
+    if (handles.size >= MAX_MENTIONS) break;
+  }
+  return [...handles];
+}
+
+const areFriends = (a, b) =>
+  Friendship.exists({
+    status: "accepted",
+    $or: [
+      { requester: a, recipient: b },
+      { requester: b, recipient: a },
+    ],
+  });
+
+/** Can authorId mention this user? (user needs _id, blockedUsers, privacy) */
+async function acceptsMentionFrom(user, authorId, authorBlocks) {
+  const id = String(user._id);
+  const author = String(authorId);
+  if (id === author) return true;
+  if (authorBlocks.has(id)) return false;
+  if ((user.blockedUsers || []).some((b) => String(b) === author)) return false;
+
+  const setting = user.privacy?.mentions || "everyone";
+  if (setting === "nobody") return false;
+  if (setting === "friends") return !!(await areFriends(author, id));
+  return true;
+}
+
+/** text -> [{ user, handle }] for everyone authorId may mention in it. */
+async function resolveMentions(text, authorId) {
+  const handles = extractHandles(text);
+  if (!handles.length) return [];
+
+  const [users, author] = await Promise.all([
+    User.find({ handle: { $in: handles }, banned: { $ne: true } })
+      .select("handle blockedUsers privacy")
+      .lean(),
+    User.findById(authorId).select("blockedUsers").lean(),
+  ]);
+  const authorBlocks = new Set((author?.blockedUsers || []).map(String));
+
+  const byHandle = new Map();
+  for (const user of users) {
+    if (await acceptsMentionFrom(user, authorId, authorBlocks)) {
+      byHandle.set(user.handle, { user: user._id, handle: user.handle });
+    }
+  }
+  return handles.map((h) => byHandle.get(h)).filter(Boolean);
+}
+
+/**
+ * "mention" notifications for everyone in `mentions` who isn't the author and
+ * wasn't already in `previous`. `target` says where: { bulletinId, commentId }
+ * or { threadId, threadReplyId }.
+ */
+async function notifyMentions(mentions, fromUser, target, previous = []) {
+  const already = new Set(previous.map((m) => String(m.user)));
+  const docs = mentions
+    .filter((m) => String(m.user) !== String(fromUser) && !already.has(String(m.user)))
+    .map((m) => ({ type: "mention", fromUser, toUser: m.user, ...target }));
+
+  if (docs.length) await Notification.insertMany(docs);
+}
+
+module.exports = {
+  MAX_MENTIONS,
+  MENTION_PRIVACY,
+  extractHandles,
+  resolveMentions,
+  notifyMentions,
+};
@@ -0,0 +1,344 @@
+// helpers/otpProviders.js
+// Phone OTP behind one interface, picked by OTP_PROVIDER:
+//
+//   "twilio"  – Twilio Verify does code generation, delivery and checking
+//   "local"   – codes generated + hashed + expired here (Mongo), delivered by SMS
+//               through Twilio Messaging (TWILIO_FROM_NUMBER)
+//   "console" – same code store, kept in memory and "delivered" to the log;
+//               peek() exposes the last code so tests can complete the flow
+//
+// Every provider implements:
+//   send({ phone, purpose })         -> { status }
+//   verify({ phone, code, purpose }) -> { ok: true } | { ok: false, reason }
+// where phone is digits only and reason is one of
+// "invalid" | "expired" | "too-many-attempts".
+//
+// Codes are scoped to their purpose ("verify" | "reset"). Twilio Verify can't
+// scope a code itself, so a server-side marker remembers which purpose the
+// last code for a phone was sent for.
+//
+// On top of any provider, per-phone caps on sends and wrong guesses live in
+// helpers/loginLimiter.js, so they survive resends (a new code doesn't reset
+// the guess budget).
+const crypto = require("crypto");
+const { checkLock, recordFailure, clearFailures } = require("./loginLimiter");
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const OTP_TTL_MS = Number(process.env.OTP_TTL_MS) || 10 * MINUTE;
+const OTP_MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_COOLDOWN_MS = 30 * 1000;
+const OTP_LENGTH = 6;
+const OTP_PURPOSES = ["verify", "reset"];
+
+// Per phone, across every code sent to it
+const OTP_SEND_POLICY = {
+  maxAttempts: Number(process.env.OTP_MAX_SENDS) || 5,
+  windowMs: HOUR,
+  lockMs: HOUR,
+  maxLockMs: 24 * HOUR,
+};
+const OTP_GUESS_POLICY = {
+  maxAttempts: Number(process.env.OTP_MAX_GUESSES) || 10,
+  windowMs: HOUR,
+  lockMs: HOUR,
+  maxLockMs: 24 * HOUR,
+};
+
+let OTP_SECRET = process.env.OTP_SECRET || process.env.SESSION_SECRET;
+if (!OTP_SECRET) {
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("OTP_SECRET (or SESSION_SECRET) must be set in production");
+  }
+  // Dev fallback: stored codes stop verifying when the process restarts
+  console.warn("⚠ OTP_SECRET not set; using a random per-process secret.");
+  OTP_SECRET = crypto.randomBytes(32).toString("hex");
+}
+
+class OtpError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "OtpError";
+    this.status = status;
+  }
+}
+
+// US numbers only for now (matches how phones are normalized at signup)
+const toE164 = (phone) => `+1${phone}`;
+
+const challengeKey = (purpose, phone) => `${purpose}:${phone}`;
+const sendLimitKey = (phone) => `otp:send:${phone}`;
+const guessLimitKey = (phone) => `otp:guess:${phone}`;
+
+function checkPurpose(purpose) {
+  if (!OTP_PURPOSES.includes(purpose)) throw new Error(`Unknown OTP purpose: ${purpose}`);
+}
+
+function hashCode(key, code) {
+  return crypto.createHmac("sha256", OTP_SECRET).update(`${key}:${code}`).digest("hex");
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/* ------------------------------------------------------------------------ */
+/* Twilio (lazily built so the other providers work without credentials)    */
+/* ------------------------------------------------------------------------ */
+
+let twilioClient = null;
+function getTwilio() {
+  if (!twilioClient) {
+    twilioClient = require("twilio")(
+      process.env.TWILIO_ACCOUNT_SID,
+      process.env.TWILIO_AUTH_TOKEN
+    );
+  }
+  return twilioClient;
+}
+
+// Twilio hands out one pending code per phone, whatever it was for: the
+// marker (a challenge with no codeHash) records the purpose of the last send
+// and is consumed by the verify that uses it
+function createTwilioVerifyProvider({ store }) {
+  const serviceSid = process.env.TWILIO_VERIFY_SERVICE_SID;
+
+  return {
+    name: "twilio",
+    async send({ phone, purpose = "verify" }) {
+      const verification = await getTwilio()
+        .verify.v2.services(serviceSid)
+        .verifications.create({ to: toE164(phone), channel: "sms" });
+
+      for (const other of OTP_PURPOSES) {
+        if (other !== purpose) await store.consume(challengeKey(other, phone));
+      }
+      await store.put(challengeKey(purpose, phone), {
+        codeHash: null,
+        attempts: 0,
+        sentAt: new Date(),
+        expiresAt: new Date(Date.now() + OTP_TTL_MS),
+      });
+
+      return { status: verification.status };
+    },
+    async verify({ phone, code, purpose = "verify" }) {
+      const key = challengeKey(purpose, phone);
+      if (!(await store.get(key))) return { ok: false, reason: "expired" };
+
+      const result = await getTwilio()
+        .verify.v2.services(serviceSid)
+        .verificationChecks.create({ to: toE164(phone), code: String(code) });
+      if (result.status !== "approved") return { ok: false, reason: "invalid" };
+
+      return (await store.consume(key)) ? { ok: true } : { ok: false, reason: "expired" };
+    },
+  };
+}
+
+/* ------------------------------------------------------------------------ */
+/* Self-hosted code store                                                   */
+/* ------------------------------------------------------------------------ */
+
+function createMemoryChallengeStore() {
+  const challenges = new Map();
+  return {
+    async get(key) {
+      const c = challenges.get(key);
+      if (!c) return null;
+      if (c.expiresAt <= new Date()) {
+        challenges.delete(key);
+        return null;
+      }
+      return { ...c };
+    },
+    async put(key, challenge) {
+      challenges.set(key, { ...challenge });
+    },
+    async bumpAttempts(key) {
+      const c = challenges.get(key);
+      if (c) c.attempts += 1;
+    },
+    // true only for the caller that actually removed it (single use)
+    async consume(key) {
+      return challenges.delete(key);
+    },
+  };
+}
+
+function createMongoChallengeStore() {
+  const OtpChallenge = require("../models/OtpChallenge");
+  return {
+    async get(key) {
+      const c = await OtpChallenge.findById(key).lean();
+      if (!c || c.expiresAt <= new Date()) return null;
+      return c;
+    },
+    async put(key, challenge) {
+      await OtpChallenge.replaceOne({ _id: key }, { _id: key, ...challenge }, { upsert: true });
+    },
+    async bumpAttempts(key) {
+      await OtpChallenge.updateOne({ _id: key }, { $inc: { attempts: 1 } });
+    },
+    async consume(key) {
+      const { deletedCount } = await OtpChallenge.deleteOne({ _id: key });
+      return deletedCount === 1;
+    },
+  };
+}
+
+function createCodeProvider({ name, store, deliver }) {
+  const sentCodes = new Map(); // console provider only: last code per key
+
+  const provider = {
+    name,
+    async send({ phone, purpose = "verify" }) {
+      const key = challengeKey(purpose, phone);
+
+      const existing = await store.get(key);
+      if (existing && Date.now() - new Date(existing.sentAt).getTime() < OTP_RESEND_COOLDOWN_MS) {
+        throw new OtpError("Please wait before requesting another code.", 429);
+      }
+
+      const code = String(crypto.randomInt(0, 10 ** OTP_LENGTH)).padStart(OTP_LENGTH, "0");
+      await store.put(key, {
+        codeHash: hashCode(key, code),
+        attempts: 0,
+        sentAt: new Date(),
+        expiresAt: new Date(Date.now() + OTP_TTL_MS),
+      });
+
+      await deliver(phone, `Your MyTop6 code is ${code}. It expires in ${Math.round(OTP_TTL_MS / MINUTE)} minutes.`);
+      if (name === "console") sentCodes.set(key, code);
+
+      return { status: "pending" };
+    },
+    async verify({ phone, code, purpose = "verify" }) {
+      const key = challengeKey(purpose, phone);
+      const challenge = await store.get(key);
+      if (!challenge?.codeHash) return { ok: false, reason: "expired" };
+
+      if (challenge.attempts >= OTP_MAX_ATTEMPTS) {
+        return { ok: false, reason: "too-many-attempts" };
+      }
+
+      if (!safeEqual(challenge.codeHash, hashCode(key, String(code).trim()))) {
+        await store.bumpAttempts(key);
+        return { ok: false, reason: "invalid" };
+      }
+
+      // Single use: a concurrent verify of the same code loses here
+      const consumed = await store.consume(key);
+      sentCodes.delete(key);
+      return consumed ? { ok: true } : { ok: false, reason: "expired" };
+    },
+  };
+
+  if (name === "console") {
+    provider.peek = ({ phone, purpose = "verify" }) =>
+      sentCodes.get(challengeKey(purpose, phone)) || null;
+  }
+
+  return provider;
+}
+
+async function deliverViaTwilioSms(phone, body) {
+  await getTwilio().messages.create({
+    to: toE164(phone),
+    from: process.env.TWILIO_FROM_NUMBER,
+    body,
+  });
+}
+
+async function deliverToConsole(phone, body) {
+  console.log(`📟 [otp:console] to ${toE164(phone)}: ${body}`);
+}
+
+/* ------------------------------------------------------------------------ */
+/* Per-phone caps                                                           */
+/* ------------------------------------------------------------------------ */
+
+/**
+ * Count a send against the phone's cap; throws a 429 OtpError once it's hit.
+ * Counted before sending, so parallel requests can't all slip through.
+ */
+async function countPhoneSend(phone) {
+  const key = sendLimitKey(phone);
+  if ((await checkLock(key)).locked) {
+    throw new OtpError("Too many codes requested for this number. Try again later.", 429);
+  }
+  await recordFailure(key, OTP_SEND_POLICY);
+}
+
+function withPhoneLimits(provider) {
+  return {
+    ...provider,
+    async send({ phone, purpose = "verify" }) {
+      checkPurpose(purpose);
+      await countPhoneSend(phone);
+      return provider.send({ phone, purpose });
+    },
+    async verify({ phone, code, purpose = "verify" }) {
+      checkPurpose(purpose);
+      const key = guessLimitKey(phone);
+      if ((await checkLock(key)).locked) return { ok: false, reason: "too-many-attempts" };
+
+      const result = await provider.verify({ phone, code, purpose });
+      if (result.ok) await clearFailures(key);
+      else if (result.reason === "invalid") await recordFailure(key, OTP_GUESS_POLICY);
+      return result;
+    },
+  };
+}
+
+/* ------------------------------------------------------------------------ */
+/* Selection                                                                */
+/* ------------------------------------------------------------------------ */
+
+const PROVIDERS = {
+  twilio: () => createTwilioVerifyProvider({ store: createMongoChallengeStore() }),
+  local: () =>
+    createCodeProvider({
+      name: "local",
+      store: createMongoChallengeStore(),
+      deliver: deliverViaTwilioSms,
+    }),
+  console: () =>
+    createCodeProvider({
+      name: "console",
+      store: createMemoryChallengeStore(),
+      deliver: deliverToConsole,
+    }),
+};
+
+let provider = null;
+
+function useOtpProvider(name) {
+  const factory = PROVIDERS[name];
+  if (!factory) throw new Error(`Unknown OTP provider: ${name}`);
+  provider = withPhoneLimits(factory());
+  return provider;
+}
+
+function defaultProviderName() {
+  if (process.env.OTP_PROVIDER) return process.env.OTP_PROVIDER;
+  if (process.env.TWILIO_VERIFY_SERVICE_SID) return "twilio";
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("OTP_PROVIDER (or TWILIO_VERIFY_SERVICE_SID) must be set in production");
+  }
+  return "console";
+}
+
+function getOtpProvider() {
+  return provider || useOtpProvider(defaultProviderName());
+}
+
+module.exports = {
+  OtpError,
+  countPhoneSend,
+  useOtpProvider,
+  getOtpProvider,
+};
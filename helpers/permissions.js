@@ -0,0 +1,58 @@
+// helpers/permissions.js
+// Declarative staff permission map: permission -> { app: [roles] }.
+// Roles not listed for an app simply don't have the permission.
+
+const WATCHTOWER_ALL = ["admin", "supervisor", "moderator", "trainee"];
+const MAINFRAME_ALL = ["admin", "lead", "analyst", "viewer"];
+// Highest role first
+const ROLES = { watchtower: WATCHTOWER_ALL, mainframe: MAINFRAME_ALL };
+
+const PERMISSIONS = {
+  // Report queue (trainees / viewers: read-only)
+  "reports.read": { watchtower: WATCHTOWER_ALL, mainframe: MAINFRAME_ALL },
+  "reports.create": { watchtower: ["admin", "supervisor", "moderator"], mainframe: ["admin", "lead", "analyst"] },
+  "reports.resolve": { watchtower: ["admin", "supervisor", "moderator"], mainframe: ["admin", "lead", "analyst"] },
+  "reports.delete": { watchtower: ["admin", "supervisor"], mainframe: ["admin", "lead"] },
+
+  // Enforcement memos
+  "memos.read": { watchtower: WATCHTOWER_ALL, mainframe: MAINFRAME_ALL },
+  "memos.create": { watchtower: ["admin", "supervisor", "moderator"], mainframe: ["admin", "lead", "analyst"] },
+
+  // Moderation queues / account actions
+  "moderation.read": { watchtower: WATCHTOWER_ALL, mainframe: MAINFRAME_ALL },
+  "users.ban": { watchtower: ["admin", "supervisor"], mainframe: ["admin", "lead"] },
+  "comments.delete": { watchtower: ["admin", "supervisor", "moderator"], mainframe: ["admin", "lead"] },
+
+  // Staff accounts
+  "staff.create": { watchtower: ["admin"], mainframe: ["admin"] },        // Watchtower operators
+  "mainframe.staff.create": { mainframe: ["admin"] },                      // Mainframe users
+  "staff.2fa.reset": { watchtower: ["admin"], mainframe: ["admin"] },      // lost-device resets
+
+  // Feed ranking debug (?explain=1 on For You / Trending)
+  "feeds.explain": { watchtower: ["admin", "supervisor"], mainframe: ["admin", "lead", "analyst"] },
+
+  // Login lockouts (all apps)
+  "lockouts.read": { mainframe: ["admin", "lead"] },
+  "lockouts.unlock": { mainframe: ["admin"] },
+};
+
+function hasPermission(app, role, permission) {
+  const entry = PERMISSIONS[permission];
+  if (!entry) throw new Error(`Unknown permission: ${permission}`);
+  return !!role && (entry[app] || []).includes(role);
+}
+
+// Every permission a role holds (handy for /me responses and UI gating)
+function permissionsFor(app, role) {
+  return Object.keys(PERMISSIONS).filter((p) => hasPermission(app, role, p));
+}
+
+// Can someone with granterRole hand out `role`? Only their own rank or below.
+function canGrantRole(app, granterRole, role) {
+  const order = ROLES[app] || [];
+  const granterRank = order.indexOf(granterRole);
+  const rank = order.indexOf(role);
+  return granterRank !== -1 && rank !== -1 && rank >= granterRank;
+}
+
+module.exports = { PERMISSIONS, hasPermission, permissionsFor, canGrantRole };
@@ -0,0 +1,189 @@
+// helpers/polls.js
+// Poll bulletins (type "poll"): the question is the bulletin's content, the
+// options and tallies live in bulletin.poll. One vote per user is enforced by
+// PollVote's "<bulletinId>:<userId>" _id; the tally is bumped only after that
+// insert wins, so double-clicks and races can't count twice.
+//
+// Live tallies: sockets emit "poll:watch" / "poll:unwatch" with a bulletin id
+// and receive "poll:tally" in the poll's room whenever someone votes.
+const mongoose = require("mongoose");
+
+const Bulletin = require("../models/Bulletin");
+const PollVote = require("../models/PollVote");
+
+const POLL_OPTIONS_MIN = 2;
+const POLL_OPTIONS_MAX = 6;
+const POLL_OPTION_MAX = 80;
+// Optional expiry, set as a duration so scheduled polls run from publish time
+const POLL_MAX_HOURS = 30 * 24;
+// Rooms one socket may watch at once (a feed screen's worth)
+const MAX_WATCHED_POLLS = 50;
+
+// Same detector as bulletin text (allows things like "<3")
+const HTML_TAG_REGEX = /<\/?[a-z][^>]*>/i;
+
+class PollError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "PollError";
+    this.status = status;
+  }
+}
+
+/**
+ * Validate poll input ({ options: [string | { text }], durationHours? })
+ * -> { poll } or { error }. Drafts may have fewer than two options so far.
+ */
+function validatePollInput(poll, { draft = false } = {}) {
+  const raw = Array.isArray(poll?.options) ? poll.options : [];
+  const texts = raw.map((o) => String((typeof o === "string" ? o : o?.text) || "").trim());
+
+  if (texts.some((t) => !t)) return { error: "Poll options cannot be empty." };
+  if (texts.length > POLL_OPTIONS_MAX || (!draft && texts.length < POLL_OPTIONS_MIN)) {
+    return { error: `Polls need ${POLL_OPTIONS_MIN}–${POLL_OPTIONS_MAX} options.` };
+  }
+  if (texts.some((t) => t.length > POLL_OPTION_MAX)) {
+    return { error: `Poll options are limited to ${POLL_OPTION_MAX} characters.` };
+  }
+  if (texts.some((t) => HTML_TAG_REGEX.test(t))) {
+    return { error: "HTML is not allowed in bulletins." };
+  }
+  if (new Set(texts.map((t) => t.toLowerCase())).size !== texts.length) {
+    return { error: "Poll options must be different." };
+  }
+
+  let durationHours = null;
+  if (poll?.durationHours != null && poll.durationHours !== "") {
+    durationHours = Number(poll.durationHours);
+    if (!Number.isInteger(durationHours) || durationHours < 1 || durationHours > POLL_MAX_HOURS) {
+      return { error: `durationHours must be a whole number from 1 to ${POLL_MAX_HOURS}.` };
+    }
+  }
+
+  return { poll: { options: texts.map((text) => ({ text })), durationHours } };
+}
+
+/** Start the clock on a poll's expiry (called when it's published). */
+function startPoll(bulletin, now = Date.now()) {
+  if (bulletin.type !== "poll" || !bulletin.poll) return;
+  const hours = bulletin.poll.durationHours;
+  bulletin.poll.expiresAt = hours ? new Date(now + hours * 60 * 60 * 1000) : null;
+}
+
+const isClosed = (poll, now = Date.now()) =>
+  !!poll?.expiresAt && new Date(poll.expiresAt).getTime() <= now;
+
+/** Tally payload for clients (REST and socket). */
+function pollTally(bulletin, myVote = null) {
+  const poll = bulletin.poll || {};
+  return {
+    bulletinId: String(bulletin._id),
+    options: (poll.options || []).map((o) => ({ _id: String(o._id), text: o.text, votes: o.votes })),
+    totalVotes: poll.totalVotes || 0,
+    expiresAt: poll.expiresAt || null,
+    closed: isClosed(poll),
+    myVote: myVote ? String(myVote) : null,
+  };
+}
+
+/**
+ * Record userId's vote. Returns the updated tally; throws PollError for
+ * closed polls, unknown options and second votes.
+ */
+async function castVote(bulletin, userId, optionId) {
+  if (bulletin.type !== "poll" || !bulletin.poll?.options?.length) {
+    throw new PollError("This bulletin is not a poll.");
+  }
+  if (isClosed(bulletin.poll)) throw new PollError("This poll has closed.", 409);
+
+  const option = mongoose.isValidObjectId(optionId)
+    ? bulletin.poll.options.find((o) => String(o._id) === String(optionId))
+    : null;
+  if (!option) throw new PollError("Unknown poll option.");
+
+  try {
+    await PollVote.create({
+      _id: `${bulletin._id}:${userId}`,
+      bulletinId: bulletin._id,
+      userId,
+      optionId: option._id,
+    });
+  } catch (err) {
+    if (err?.code === 11000) throw new PollError("You already voted in this poll.", 409);
+    throw err;
+  }
+
+  const updated = await Bulletin.findOneAndUpdate(
+    { _id: bulletin._id, "poll.options._id": option._id },
+    { $inc: { "poll.options.$.votes": 1, "poll.totalVotes": 1 } },
+    { new: true }
+  )
+    .select("type poll")
+    .lean();
+
+  // Deleted between the vote insert and the tally bump: drop the orphaned vote
+  if (!updated) {
+    await PollVote.deleteOne({ _id: `${bulletin._id}:${userId}` });
+    throw new PollError("Bulletin not found", 404);
+  }
+
+  return pollTally(updated, option._id);
+}
+
+/** The option userId picked, or null. */
+async function findVote(bulletinId, userId) {
+  if (!userId) return null;
+  const vote = await PollVote.findById(`${bulletinId}:${userId}`).select("optionId").lean();
+  return vote?.optionId || null;
+}
+
+/** Remove every vote cast on the given bulletins (bulletin delete). */
+async function deleteVotesFor(bulletinIds) {
+  if (!bulletinIds.length) return;
+  await PollVote.deleteMany({ bulletinId: { $in: bulletinIds } });
+}
+
+/* ------------------------------------------------------------------------ */
+/* Live tallies                                                             */
+/* ------------------------------------------------------------------------ */
+
+const pollRoom = (bulletinId) => `poll:${bulletinId}`;
+
+// Call once per connection (after socketAuth)
+function registerPollSocket(socket) {
+  const watched = new Set();
+
+  socket.on("poll:watch", (bulletinId) => {
+    const id = String(bulletinId || "");
+    if (!mongoose.isValidObjectId(id) || watched.has(id)) return;
+    if (watched.size >= MAX_WATCHED_POLLS) return;
+    watched.add(id);
+    socket.join(pollRoom(id));
+  });
+
+  socket.on("poll:unwatch", (bulletinId) => {
+    const id = String(bulletinId || "");
+    if (!watched.delete(id)) return;
+    socket.leave(pollRoom(id));
+  });
+}
+
+function emitPollTally(io, tally) {
+  if (!io || !tally) return;
+  // Everyone in the room gets counts; myVote is only for the voter's response
+  io.to(pollRoom(tally.bulletinId)).emit("poll:tally", { ...tally, myVote: undefined });
+}
+
+module.exports = {
+  POLL_OPTIONS_MIN,
+  POLL_OPTIONS_MAX,
+  PollError,
+  validatePollInput,
+  startPoll,
+  pollTally,
+  castVote,
+  findVote,
+  deleteVotesFor,
+  registerPollSocket,
+  emitPollTally,
+};
@@ -0,0 +1,30 @@
+// helpers/populateFeed.js
+// Full populate set used by the feed endpoints (bulletins and tag pages)
+const populateFeed = (query) =>
+  query
+    .populate('userId', 'username displayName profilePicture')
+    .populate('reposts')
+    .populate('repostedBy', 'username displayName profilePicture')
+    .populate('communityId', 'name')
+    .populate('amaQuestionUser', 'username displayName profilePicture')
+    .populate('amaAnswerUser', 'username displayName profilePicture')
+    .populate({
+      path: 'repostOf',
+      populate: [
+        {
+          path: 'userId',
+          select: 'username displayName profilePicture',
+        },
+        { path: 'communityId', select: 'name' },
+        {
+          path: 'amaQuestionUser',
+          select: 'username displayName profilePicture',
+        },
+        {
+          path: 'amaAnswerUser',
+          select: 'username displayName profilePicture',
+        },
+      ],
+    });
+
+module.exports = { populateFeed };
@@ -0,0 +1,175 @@
+// helpers/ranking.js
+// The one hot-score formula, shared by bulletin /trending, /for-you and
+// community /trending and /top:
+//
+//   engagement = likes*w.likes + reposts*w.reposts + comments*w.comments + views*w.views
+//   recency    = 1 / (ageHours + offsetHours) ^ decay
+//   hot        = engagement * recency
+//
+// Defaults match the formula the feeds shipped with. Override at boot with
+// RANKING_WEIGHTS='{"likes":4}' / RANKING_DECAY=1.5, or configureRanking().
+// Community rankings run as aggregation pipelines over Bulletin so they
+// scale with recent posts, not with the number of communities.
+
+const { PUBLISHED } = require("./bulletinStatus");
+
+const DEFAULTS = {
+  weights: { likes: 3, reposts: 2, comments: 2, views: 1 },
+  decay: 1.2,
+  offsetHours: 2,
+  // Community /top: each recent post counts this much on top of engagement
+  postWeight: 1,
+};
+
+function fromEnv() {
+  const config = { ...DEFAULTS, weights: { ...DEFAULTS.weights } };
+  if (process.env.RANKING_WEIGHTS) {
+    try {
+      Object.assign(config.weights, JSON.parse(process.env.RANKING_WEIGHTS));
+    } catch (err) {
+      console.error("Ignoring invalid RANKING_WEIGHTS:", err.message);
+    }
+  }
+  if (process.env.RANKING_DECAY) config.decay = Number(process.env.RANKING_DECAY) || DEFAULTS.decay;
+  return config;
+}
+
+let config = fromEnv();
+
+/** Override parts of the config (tests, tuning). Returns the active config. */
+function configureRanking(overrides = {}) {
+  config = {
+    ...config,
+    ...overrides,
+    weights: { ...config.weights, ...(overrides.weights || {}) },
+  };
+  return config;
+}
+
+const getRankingConfig = () => config;
+
+/* ------------------------------------------------------------------------ */
+/* In-process scoring                                                       */
+/* ------------------------------------------------------------------------ */
+
+// Works on lean docs (arrays) as well as pre-counted numbers
+const countOf = (v) => (Array.isArray(v) ? v.length : Number(v) || 0);
+
+function engagementScore(b, weights = config.weights) {
+  return (
+    countOf(b.likes) * weights.likes +
+    countOf(b.reposts) * weights.reposts +
+    countOf(b.commentCount ?? b.comments) * weights.comments +
+    countOf(b.viewCount) * weights.views
+  );
+}
+
+function recencyFactor(createdAt, now = Date.now()) {
+  const ageHours = Math.abs(new Date(now) - new Date(createdAt)) / 36e5;
+  return 1 / Math.pow(ageHours + config.offsetHours, config.decay);
+}
+
+/** { score, engagement, recency } for one bulletin. */
+function hotScore(b, now = Date.now()) {
+  const engagement = engagementScore(b);
+  const recency = recencyFactor(b.createdAt, now);
+  return { score: engagement * recency, engagement, recency };
+}
+
+/* ------------------------------------------------------------------------ */
+/* Aggregation expressions                                                  */
+/* ------------------------------------------------------------------------ */
+
+const sizeOf = (field) => ({ $size: { $ifNull: [`$${field}`, []] } });
+
+function engagementExpr(weights = config.weights) {
+  return {
+    $add: [
+      { $multiply: [sizeOf("likes"), weights.likes] },
+      { $multiply: [sizeOf("reposts"), weights.reposts] },
+      { $multiply: [{ $ifNull: ["$commentCount", sizeOf("comments")] }, weights.comments] },
+      { $multiply: [{ $ifNull: ["$viewCount", 0] }, weights.views] },
+    ],
+  };
+}
+
+function hotScoreExpr(now = new Date()) {
+  const ageHours = {
+    $divide: [{ $abs: { $subtract: [now, "$createdAt"] } }, 36e5],
+  };
+  return {
+    $divide: [
+      engagementExpr(),
+      { $pow: [{ $add: [ageHours, config.offsetHours] }, config.decay] },
+    ],
+  };
+}
+
+/* ------------------------------------------------------------------------ */
+/* Community rankings                                                       */
+/* ------------------------------------------------------------------------ */
+
+/**
+ * Pipeline (run on Bulletin) ranking communities by their recent posts.
+ *
+ *   mode "hot"      – Σ hot score of posts since `since`, per member
+ *   mode "activity" – Σ (postWeight + engagement) of posts since `since`
+ */
+function communityRankingPipeline({ since, mode = "hot", limit = 6, now = new Date() }) {
+  const perPost =
+    mode === "hot"
+      ? hotScoreExpr(now)
+      : { $add: [config.postWeight, engagementExpr()] };
+
+  const finalScore =
+    mode === "hot"
+      ? { $divide: ["$rawScore", { $max: ["$community.memberCount", 1] }] }
+      : "$rawScore";
+
+  return [
+    // Posts still waiting for a mod don't count
+    { $match: { communityId: { $ne: null }, approved: true, createdAt: { $gte: since }, ...PUBLISHED } },
+    { $group: { _id: "$communityId", rawScore: { $sum: perPost }, posts: { $sum: 1 } } },
+    {
+      $lookup: {
+        from: "communities",
+        let: { cid: "$_id" },
+        pipeline: [
+          { $match: { $expr: { $eq: ["$_id", "$$cid"] } } },
+          {
+            $project: {
+              name: 1,
+              communityPicture: 1,
+              memberCount: { $size: { $ifNull: ["$members", []] } },
+            },
+          },
+        ],
+        as: "community",
+      },
+    },
+    { $unwind: "$community" },
+    { $addFields: { score: finalScore } },
+    { $sort: { score: -1, _id: 1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 1,
+        name: "$community.name",
+        communityPicture: "$community.communityPicture",
+        score: 1,
+        posts: 1,
+      },
+    },
+  ];
+}
+
+module.exports = {
+  configureRanking,
+  getRankingConfig,
+  engagementScore,
+  recencyFactor,
+  hotScore,
+  engagementExpr,
+  hotScoreExpr,
+  communityRankingPipeline,
+};
@@ -0,0 +1,170 @@
+// helpers/registration.js
+// The one place MyTop6 accounts get created. Both POST /api/users and
+// POST /api/users/register go through registerUser() so the rules
+// (handle format, reserved handles, phone normalization, 13+ age gate,
+// duplicate handling) can't drift apart again.
+const bcrypt = require("bcrypt");
+const User = require("../models/User");
+
+const MIN_AGE = 13;
+const HANDLE_REGEX = /^[a-z0-9_]{3,30}$/;
+const PHONE_DIGITS = 10;
+
+// Handles nobody gets to register (staff/brand lookalikes + route words)
+const RESERVED_HANDLES = new Set([
+  "admin", "administrator", "root", "system", "support", "help", "staff",
+  "mod", "mods", "moderator", "moderators", "official", "security",
+  "mytop6", "mytop6official", "tom",
+  "watchtower", "quikmod", "mainframe",
+  "api", "auth", "login", "logout", "register", "signup", "settings",
+  "me", "null", "undefined",
+]);
+
+class RegistrationError extends Error {
+  constructor(message, status = 400, field = null) {
+    super(message);
+    this.name = "RegistrationError";
+    this.status = status;
+    this.field = field;
+  }
+}
+
+// Keep digits only, e.g. "(555) 123-4567" -> "5551234567"
+function normalizePhone(phone) {
+  if (!phone) return "";
+  return String(phone).replace(/\D/g, "").trim();
+}
+
+function normalizeHandle(handle) {
+  return String(handle || "").toLowerCase().trim();
+}
+
+/** Returns null if the handle is usable, otherwise a reason code. */
+function checkHandleFormat(handle) {
+  const clean = normalizeHandle(handle);
+  if (!clean) return "missing";
+  if (!HANDLE_REGEX.test(clean)) return "invalid-format";
+  if (RESERVED_HANDLES.has(clean)) return "reserved";
+  return null;
+}
+
+function ageOn(birth, today = new Date()) {
+  let age = today.getFullYear() - birth.getFullYear();
+  const m = today.getMonth() - birth.getMonth();
+  if (m < 0 || (m === 0 && today.getDate() < birth.getDate())) {
+    age--;
+  }
+  return age;
+}
+
+const HANDLE_ERRORS = {
+  missing: "Handle is required.",
+  "invalid-format": "Handles must be 3-30 letters, numbers or underscores.",
+  reserved: "That handle is reserved.",
+};
+
+function duplicateError(keyPattern = {}) {
+  if (keyPattern.phoneNumber) {
+    return new RegistrationError("An account already exists for this phone number.", 400, "phoneNumber");
+  }
+  if (keyPattern.handle) {
+    return new RegistrationError("Handle already taken.", 400, "handle");
+  }
+  return new RegistrationError("Duplicate key error.");
+}
+
+/**
+ * Validate + create a user. Throws RegistrationError (with .status) on any
+ * rule violation; resolves to the saved User document.
+ */
+async function registerUser({ phoneNumber, username, password, handle, bio, dob, location } = {}) {
+  if (!phoneNumber || !username || !password || !handle || !dob) {
+    throw new RegistrationError("phoneNumber, username, handle, password, and dob are required.");
+  }
+
+  const normalizedPhone = normalizePhone(phoneNumber);
+  if (normalizedPhone.length < PHONE_DIGITS) {
+    throw new RegistrationError("Invalid phone number.", 400, "phoneNumber");
+  }
+
+  const handleProblem = checkHandleFormat(handle);
+  if (handleProblem) {
+    throw new RegistrationError(HANDLE_ERRORS[handleProblem], 400, "handle");
+  }
+  const cleanHandle = normalizeHandle(handle);
+
+  // 🔢 Age gate
+  const birth = new Date(dob);
+  if (Number.isNaN(birth.getTime()) || birth > new Date()) {
+    throw new RegistrationError("Invalid date of birth.", 400, "dob");
+  }
+  const age = ageOn(birth);
+  if (age < MIN_AGE) {
+    throw new RegistrationError(
+      `You must be at least ${MIN_AGE} years old to create a MyTop6 account.`,
+      403,
+      "dob"
+    );
+  }
+
+  // Friendly pre-checks; the unique indexes below are the real guarantee
+  const [existingHandle, existingPhone] = await Promise.all([
+    User.exists({ handle: cleanHandle }),
+    User.exists({ phoneNumber: normalizedPhone }),
+  ]);
+  if (existingHandle) throw duplicateError({ handle: 1 });
+  if (existingPhone) throw duplicateError({ phoneNumber: 1 });
+
+  const passwordHash = await bcrypt.hash(String(password), 12);
+
+  const user = new User({
+    phoneNumber: normalizedPhone,
+    username: String(username).trim(),
+    handle: cleanHandle,
+    passwordHash,
+    bio: bio || "",
+    dob: birth,
+    age,                        // snapshot at signup
+    location: location || "",   // "City, ST"
+  });
+
+  try {
+    await user.save();
+  } catch (err) {
+    // Lost a race with a concurrent signup
+    if (err.code === 11000) throw duplicateError(err.keyPattern);
+    if (err.name === "ValidationError") throw new RegistrationError(err.message);
+    throw err;
+  }
+
+  return user;
+}
+
+/** Shared route handler body: register, then respond with the safe user. */
+async function handleRegistration(req, res) {
+  try {
+    const user = await registerUser(req.body || {});
+
+    const safeUser = user.toObject();
+    delete safeUser.passwordHash;
+
+    return res.status(201).json(safeUser);
+  } catch (err) {
+    if (err instanceof RegistrationError) {
+      return res.status(err.status).json({ error: err.message, field: err.field });
+    }
+    console.error("Register error:", err);
+    return res.status(500).json({ error: "Failed to register user." });
+  }
+}
+
+module.exports = {
+  MIN_AGE,
+  RESERVED_HANDLES,
+  RegistrationError,
+  normalizePhone,
+  normalizeHandle,
+  checkHandleFormat,
+  registerUser,
+  handleRegistration,
+};
@@ -1,4 +1,245 @@
 // helpers/sessionStore.js
-// Simple singleton session store (swap for DB/Redis later)
-const sessions = new Map();
-module.exports = { sessions };
+// Pluggable session store with TTL + sliding expiry.
+//
+// Drivers:
+//   "mongo"  (default) – sessions survive server restarts
+//   "memory"           – in-process Map, for tests / throwaway dev servers
+//
+// Pick one with SESSION_STORE=memory|mongo, or call useDriver() in tests.
+const crypto = require("crypto");
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Idle timeout (slides forward on every use)
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MS) || 7 * DAY;
+// Hard cap, no matter how active the session is
+const SESSION_MAX_AGE_MS = Number(process.env.SESSION_MAX_AGE_MS) || 30 * DAY;
+// Don't write lastSeenAt/expiresAt more than once a minute per session
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+function generateSessionId() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function isExpired(record, now = Date.now()) {
+  return (
+    !record ||
+    new Date(record.expiresAt).getTime() <= now ||
+    new Date(record.absoluteExpiresAt).getTime() <= now
+  );
+}
+
+/* ------------------------------------------------------------------------ */
+/* Drivers                                                                  */
+/* ------------------------------------------------------------------------ */
+
+function createMemoryDriver() {
+  const sessions = new Map();
+
+  return {
+    name: "memory",
+    async insert(record) {
+      sessions.set(record.sid, { ...record });
+      return { ...record };
+    },
+    async find(sid) {
+      const record = sessions.get(sid);
+      if (!record) return null;
+      if (isExpired(record)) {
+        sessions.delete(sid);
+        return null;
+      }
+      return { ...record };
+    },
+    async update(sid, fields) {
+      const record = sessions.get(sid);
+      if (record) Object.assign(record, fields);
+    },
+    async remove(sid) {
+      return sessions.delete(sid) ? 1 : 0;
+    },
+    async findByUser(userId, app) {
+      const out = [];
+      for (const record of sessions.values()) {
+        if (String(record.userId) !== String(userId)) continue;
+        if (app && record.app !== app) continue;
+        if (isExpired(record)) continue;
+        out.push({ ...record });
+      }
+      return out;
+    },
+    async removeByUser(userId, app, exceptSid) {
+      let removed = 0;
+      for (const [sid, record] of sessions) {
+        if (String(record.userId) !== String(userId)) continue;
+        if (app && record.app !== app) continue;
+        if (exceptSid && sid === exceptSid) continue;
+        sessions.delete(sid);
+        removed++;
+      }
+      return removed;
+    },
+  };
+}
+
+function createMongoDriver() {
+  // Required lazily so the memory driver works without a Mongo connection
+  const Session = require("../models/Session");
+
+  return {
+    name: "mongo",
+    async insert(record) {
+      const doc = await Session.create(record);
+      return doc.toObject();
+    },
+    async find(sid) {
+      const record = await Session.findOne({ sid }).lean();
+      if (!record) return null;
+      // TTL monitor is lazy; don't trust a record it hasn't swept yet
+      if (isExpired(record)) {
+        await Session.deleteOne({ sid });
+        return null;
+      }
+      return record;
+    },
+    async update(sid, fields) {
+      await Session.updateOne({ sid }, { $set: fields });
+    },
+    async remove(sid) {
+      const { deletedCount } = await Session.deleteOne({ sid });
+      return deletedCount;
+    },
+    async findByUser(userId, app) {
+      const query = { userId, expiresAt: { $gt: new Date() } };
+      if (app) query.app = app;
+      const records = await Session.find(query).sort({ lastSeenAt: -1 }).lean();
+      return records.filter((r) => !isExpired(r));
+    },
+    async removeByUser(userId, app, exceptSid) {
+      const query = { userId };
+      if (app) query.app = app;
+      if (exceptSid) query.sid = { $ne: exceptSid };
+      const { deletedCount } = await Session.deleteMany(query);
+      return deletedCount;
+    },
+  };
+}
+
+const DRIVERS = {
+  memory: createMemoryDriver,
+  mongo: createMongoDriver,
+};
+
+let driver = null;
+
+function useDriver(name) {
+  const factory = DRIVERS[name];
+  if (!factory) throw new Error(`Unknown session store driver: ${name}`);
+  driver = factory();
+  return driver;
+}
+
+function getDriver() {
+  return driver || useDriver(process.env.SESSION_STORE || "mongo");
+}
+
+/* ------------------------------------------------------------------------ */
+/* Public API                                                               */
+/* ------------------------------------------------------------------------ */
+
+/**
+ * Mint a new session.
+ * data: { app, userId, username?, role?, ip?, userAgent? }
+ */
+async function createSession(data, { ttlMs = SESSION_TTL_MS, maxAgeMs = SESSION_MAX_AGE_MS } = {}) {
+  if (!data?.app || !data?.userId) {
+    throw new Error("createSession requires app and userId");
+  }
+
+  const now = Date.now();
+  const record = {
+    sid: generateSessionId(),
+    app: data.app,
+    userId: data.userId,
+    username: data.username || null,
+    role: data.role || null,
+    ip: data.ip || null,
+    userAgent: data.userAgent || null,
+    createdAt: new Date(now),
+    lastSeenAt: new Date(now),
+    expiresAt: new Date(now + Math.min(ttlMs, maxAgeMs)),
+    absoluteExpiresAt: new Date(now + maxAgeMs),
+  };
+
+  return getDriver().insert(record);
+}
+
+/**
+ * Look up a live session by id. Slides the idle expiry forward on use.
+ * Returns null for unknown / expired sessions.
+ */
+async function getSession(sid, { ttlMs = SESSION_TTL_MS } = {}) {
+  if (!sid || typeof sid !== "string") return null;
+
+  const store = getDriver();
+  const record = await store.find(sid);
+  if (!record) return null;
+
+  const now = Date.now();
+  if (now - new Date(record.lastSeenAt).getTime() >= TOUCH_INTERVAL_MS) {
+    const expiresAt = new Date(
+      Math.min(now + ttlMs, new Date(record.absoluteExpiresAt).getTime())
+    );
+    const fields = { lastSeenAt: new Date(now), expiresAt };
+    await store.update(sid, fields);
+    Object.assign(record, fields);
+  }
+
+  return record;
+}
+
+async function destroySession(sid) {
+  if (!sid) return 0;
+  return getDriver().remove(sid);
+}
+
+/** Active sessions for a user, newest activity first. */
+async function listUserSessions(userId, { app } = {}) {
+  const records = await getDriver().findByUser(userId, app);
+  return records.sort(
+    (a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt)
+  );
+}
+
+/** Revoke every session a user holds (optionally keeping the current one). */
+async function revokeUserSessions(userId, { app, exceptSid } = {}) {
+  return getDriver().removeByUser(userId, app, exceptSid);
+}
+
+/** Shape a session record for API responses (never leaks other sids whole). */
+function toPublicSession(record, currentSid = null) {
+  return {
+    id: record.sid.slice(0, 8),
+    app: record.app,
+    ip: record.ip,
+    userAgent: record.userAgent,
+    createdAt: record.createdAt,
+    lastSeenAt: record.lastSeenAt,
+    expiresAt: record.expiresAt,
+    current: !!currentSid && record.sid === currentSid,
+  };
+}
+
+module.exports = {
+  SESSION_TTL_MS,
+  SESSION_MAX_AGE_MS,
+  generateSessionId,
+  useDriver,
+  createSession,
+  getSession,
+  destroySession,
+  listUserSessions,
+  revokeUserSessions,
+  toPublicSession,
+};
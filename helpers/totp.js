@@ -0,0 +1,166 @@
+// helpers/totp.js
+// RFC 6238 TOTP (SHA-1, 6 digits, 30s steps — what every authenticator app
+// speaks) plus the bits staff 2FA needs around it: base32 secrets, at-rest
+// encryption of those secrets, and one-time recovery codes.
+const crypto = require("crypto");
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1; // accept the previous / next code for clock skew
+const ISSUER = process.env.TOTP_ISSUER || "MyTop6";
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/* ------------------------------------------------------------------------ */
+/* Base32 (RFC 4648, no padding)                                            */
+/* ------------------------------------------------------------------------ */
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/=+$/, "").replace(/\s+/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/* ------------------------------------------------------------------------ */
+/* TOTP                                                                     */
+/* ------------------------------------------------------------------------ */
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20)); // 160-bit, per RFC 4226
+}
+
+const stepFor = (timeMs = Date.now()) => Math.floor(timeMs / 1000 / STEP_SECONDS);
+
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+/**
+ * Check a code against the current step ± drift. Returns the matching step
+ * (store it and pass it back as `afterStep` to block replays) or null.
+ */
+function verifyTotp(secret, code, { afterStep = -1, now = Date.now() } = {}) {
+  const candidate = String(code || "").replace(/\s+/g, "");
+  if (!/^\d{6}$/.test(candidate)) return null;
+
+  const current = stepFor(now);
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    if (step <= afterStep) continue;
+    const expected = codeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+function otpauthUrl(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/* ------------------------------------------------------------------------ */
+/* Secret encryption at rest (AES-256-GCM)                                  */
+/* ------------------------------------------------------------------------ */
+
+function loadKey() {
+  const raw = process.env.TOTP_ENCRYPTION_KEY || process.env.SESSION_SECRET;
+  if (!raw) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error("TOTP_ENCRYPTION_KEY (or SESSION_SECRET) must be set in production");
+    }
+    console.warn("⚠ TOTP_ENCRYPTION_KEY not set; using an insecure development key.");
+  }
+  return crypto.createHash("sha256").update(raw || "mytop6-dev-totp-key").digest();
+}
+
+let encryptionKey = null;
+const getKey = () => encryptionKey || (encryptionKey = loadKey());
+
+// "<iv>.<tag>.<ciphertext>", all base64url
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getKey(), iv);
+  const enc = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), enc].map((b) => b.toString("base64url")).join(".");
+}
+
+function decryptSecret(payload) {
+  const [iv, tag, enc] = String(payload).split(".").map((p) => Buffer.from(p, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(enc), decipher.final()]).toString("utf8");
+}
+
+/* ------------------------------------------------------------------------ */
+/* Recovery codes                                                           */
+/* ------------------------------------------------------------------------ */
+
+const normalizeRecoveryCode = (code) => String(code || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+
+/** Returns { codes, hashes }: show `codes` once, store only `hashes`. */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString("hex"); // 10 chars
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+module.exports = {
+  generateSecret,
+  codeForStep,
+  stepFor,
+  verifyTotp,
+  otpauthUrl,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+};
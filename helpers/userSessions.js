@@ -0,0 +1,107 @@
+// helpers/userSessions.js
+// MyTop6 end-user sessions: stored in the shared session store, handed to the
+// client as a signed token ("<sid>.<hmac>") in both a cookie and the login body.
+const crypto = require("crypto");
+const {
+  SESSION_TTL_MS,
+  createSession,
+  getSession,
+  destroySession,
+} = require("./sessionStore");
+
+const USER_APP = "mytop6";
+const USER_COOKIE = "mt6_sid";
+
+let SESSION_SECRET = process.env.SESSION_SECRET;
+if (!SESSION_SECRET) {
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("SESSION_SECRET must be set in production");
+  }
+  // Dev fallback: tokens stop verifying when the process restarts
+  console.warn("⚠ SESSION_SECRET not set; using a random per-process secret.");
+  SESSION_SECRET = crypto.randomBytes(32).toString("hex");
+}
+
+function sign(sid) {
+  return crypto.createHmac("sha256", SESSION_SECRET).update(sid).digest("base64url");
+}
+
+function signToken(sid) {
+  return `${sid}.${sign(sid)}`;
+}
+
+// Returns the sid inside a well-signed token, or null
+function verifyToken(token) {
+  if (!token || typeof token !== "string") return null;
+  const dot = token.lastIndexOf(".");
+  if (dot <= 0) return null;
+
+  const sid = token.slice(0, dot);
+  const given = Buffer.from(token.slice(dot + 1));
+  const expected = Buffer.from(sign(sid));
+  if (given.length !== expected.length) return null;
+
+  return crypto.timingSafeEqual(given, expected) ? sid : null;
+}
+
+// Token from Authorization: Bearer <token> or the session cookie
+function extractToken(req) {
+  const auth = req.get("authorization") || "";
+  const bearerMatch = auth.match(/^Bearer\s+(.+)$/i);
+  if (bearerMatch) return bearerMatch[1].trim();
+  return req.cookies?.[USER_COOKIE] || null;
+}
+
+function cookieOptions(req) {
+  const isHttps = req.secure || req.headers["x-forwarded-proto"] === "https";
+  return {
+    httpOnly: true,
+    secure: isHttps,
+    sameSite: isHttps ? "None" : "Lax",
+    path: "/",
+  };
+}
+
+/** Mint a session for `user`, set the cookie, and return the bearer token. */
+async function issueUserSession(req, res, user) {
+  const session = await createSession({
+    app: USER_APP,
+    userId: user._id,
+    username: user.handle || user.username,
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+
+  const token = signToken(session.sid);
+  res.cookie(USER_COOKIE, token, { ...cookieOptions(req), maxAge: SESSION_TTL_MS });
+
+  return { token, expiresAt: session.expiresAt };
+}
+
+/** Resolve the end-user session behind a raw token (or null). */
+async function resolveUserToken(token) {
+  const sid = verifyToken(token);
+  if (!sid) return null;
+
+  const session = await getSession(sid);
+  return session && session.app === USER_APP ? session : null;
+}
+
+/** Destroy the caller's session + cookie. Returns the ended sid (or null). */
+async function endUserSession(req, res) {
+  const sid = verifyToken(extractToken(req));
+  if (sid) await destroySession(sid);
+  res.clearCookie(USER_COOKIE, { path: "/" });
+  return sid;
+}
+
+module.exports = {
+  USER_APP,
+  USER_COOKIE,
+  signToken,
+  verifyToken,
+  extractToken,
+  issueUserSession,
+  resolveUserToken,
+  endUserSession,
+};
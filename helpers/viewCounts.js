@@ -0,0 +1,72 @@
+// helpers/viewCounts.js
+// Bulletin.viewCount = unique viewers per VIEW_WINDOW_MS, summed over time.
+// A viewer re-opening the same post inside one window counts once.
+//
+// recordView() keeps the counter current as views come in;
+// recomputeViewCounts() rebuilds it from the raw Interaction log
+// (backfill / repair: `npm run views:recompute`).
+const Bulletin = require("../models/Bulletin");
+const BulletinView = require("../models/BulletinView");
+const Interaction = require("../models/Interaction");
+
+const VIEW_WINDOW_MS = Number(process.env.VIEW_WINDOW_MS) || 24 * 60 * 60 * 1000;
+
+const windowIndex = (time) => Math.floor(new Date(time).getTime() / VIEW_WINDOW_MS);
+
+/** Count a view if this viewer hasn't been counted this window. */
+async function recordView(bulletinId, userId, at = new Date()) {
+  const idx = windowIndex(at);
+
+  try {
+    await BulletinView.create({
+      _id: `${bulletinId}:${userId}:${idx}`,
+      bulletinId,
+      expiresAt: new Date((idx + 1) * VIEW_WINDOW_MS),
+    });
+  } catch (err) {
+    if (err.code === 11000) return { counted: false }; // already counted
+    throw err;
+  }
+
+  await Bulletin.updateOne({ _id: bulletinId }, { $inc: { viewCount: 1 } });
+  return { counted: true };
+}
+
+/**
+ * Rebuild viewCount from Interaction rows. Pass bulletinIds to limit the
+ * rebuild; otherwise every bulletin with views is rewritten.
+ */
+async function recomputeViewCounts({ bulletinIds = null } = {}) {
+  const match = { type: "view" };
+  if (bulletinIds) match.bulletinId = { $in: bulletinIds };
+
+  const rows = await Interaction.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          bulletinId: "$bulletinId",
+          userId: "$userId",
+          window: { $floor: { $divide: [{ $toLong: "$createdAt" }, VIEW_WINDOW_MS] } },
+        },
+      },
+    },
+    { $group: { _id: "$_id.bulletinId", views: { $sum: 1 } } },
+  ]).allowDiskUse(true);
+
+  if (!rows.length) return 0;
+
+  await Bulletin.bulkWrite(
+    rows.map((r) => ({
+      updateOne: { filter: { _id: r._id }, update: { $set: { viewCount: r.views } } },
+    })),
+    { ordered: false }
+  );
+  return rows.length;
+}
+
+module.exports = {
+  VIEW_WINDOW_MS,
+  recordView,
+  recomputeViewCounts,
+};
@@ -1,13 +1,18 @@
 // middleware/auth.js
-const { sessions } = require("../helpers/sessionStore");
+const { getSession } = require("../helpers/sessionStore");
+
+// Staff consoles whose sessions may reach the internal routes
+const STAFF_APPS = new Set(["watchtower", "mainframe"]);
 
 // Extract sid from cookie, x-session-id header, or Authorization: Bearer <sid>
 function extractSid(req) {
-  const fromCookie = req.cookies?.sid || null;
+  const fromCookie =
+    req.cookies?.sid || req.cookies?.wt_sid || req.cookies?.mf_sid || null;
 
   const fromHeader =
     req.get("x-session-id") ||
-    req.get("X-Session-Id") || // case-insensitive safeguard
+    req.get("x-watchtower-session-id") ||
+    req.get("x-mainframe-session-id") ||
     null;
 
   const auth = req.get("authorization") || req.get("Authorization") || "";
@@ -17,17 +22,24 @@ function extractSid(req) {
   return fromCookie || fromHeader || fromBearer || null;
 }
 
-function requireAuth(req, res, next) {
-  const sid = extractSid(req);
-
-  if (!sid || !sessions.has(sid)) {
-    return res.status(401).json({ error: "Unauthorized" });
+async function requireAuth(req, res, next) {
+  try {
+    const sid = extractSid(req);
+    const session = await getSession(sid);
+
+    if (!session || !STAFF_APPS.has(session.app)) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    // attach user/session for downstream handlers
+    req.user = session;
+    req.sid = sid;
+    next();
+  } catch (err) {
+    console.error("requireAuth error:", err);
+    res.status(500).json({ error: "Server error" });
   }
-
-  // attach user/session for downstream handlers
-  req.user = sessions.get(sid);
-  req.sid = sid;
-  next();
 }
 
-module.exports = requireAuth;
\ No newline at end of file
+module.exports = requireAuth;
+module.exports.extractSid = extractSid;
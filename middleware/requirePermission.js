@@ -0,0 +1,36 @@
+// middleware/requirePermission.js
+const WatchtowerUser = require("../models/WatchtowerUser");
+const MainframeUser = require("../models/MainframeUser");
+const { hasPermission } = require("../helpers/permissions");
+
+const STAFF_MODELS = {
+  watchtower: WatchtowerUser,
+  mainframe: MainframeUser,
+};
+
+// Use after requireAuth. Looks the operator's role up live, so demotions
+// apply immediately instead of when the session expires.
+function requirePermission(permission) {
+  return async (req, res, next) => {
+    try {
+      const { app, userId } = req.user || {};
+      const Model = STAFF_MODELS[app];
+      if (!Model) return res.status(401).json({ error: "Unauthorized" });
+
+      const staff = await Model.findById(userId).select("username role").lean();
+      if (!staff) return res.status(401).json({ error: "Session invalid" });
+
+      if (!hasPermission(app, staff.role, permission)) {
+        return res.status(403).json({ error: "Forbidden", permission });
+      }
+
+      req.staff = { app, userId: staff._id, username: staff.username, role: staff.role };
+      next();
+    } catch (err) {
+      console.error("requirePermission error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  };
+}
+
+module.exports = requirePermission;
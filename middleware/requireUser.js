@@ -0,0 +1,45 @@
+// middleware/requireUser.js
+const { extractToken, resolveUserToken } = require("../helpers/userSessions");
+
+// Require a signed-in MyTop6 user. Sets req.userId (string) + req.userSession.
+async function requireUser(req, res, next) {
+  try {
+    const session = await resolveUserToken(extractToken(req));
+    if (!session) {
+      return res.status(401).json({ error: "Not signed in" });
+    }
+
+    req.userSession = session;
+    req.userId = String(session.userId);
+    next();
+  } catch (err) {
+    console.error("requireUser error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+}
+
+// Same as requireUser, but anonymous requests pass through (req.userId = null)
+async function optionalUser(req, res, next) {
+  try {
+    const session = await resolveUserToken(extractToken(req));
+    req.userSession = session || null;
+    req.userId = session ? String(session.userId) : null;
+    next();
+  } catch (err) {
+    console.error("optionalUser error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+}
+
+// For "/:userId"-style personal routes: the URL must name the signed-in user.
+// Use after requireUser.
+function requireSelf(param = "userId") {
+  return (req, res, next) => {
+    if (String(req.params[param]) !== req.userId) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+    next();
+  };
+}
+
+module.exports = { requireUser, optionalUser, requireSelf };
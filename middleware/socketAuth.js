@@ -0,0 +1,70 @@
+// middleware/socketAuth.js
+// Socket.IO handshake auth with the same signed session token as HTTP.
+// The client sends it as `io(url, { auth: { token } })`; browsers on the same
+// site can rely on the mt6_sid cookie instead. Unauthenticated handshakes are
+// refused, and rooms come from the verified session, never from the query.
+const { USER_COOKIE, resolveUserToken } = require("../helpers/userSessions");
+
+function readCookie(header, name) {
+  for (const part of String(header || "").split(";")) {
+    const eq = part.indexOf("=");
+    if (eq > -1 && part.slice(0, eq).trim() === name) {
+      return decodeURIComponent(part.slice(eq + 1).trim());
+    }
+  }
+  return null;
+}
+
+function handshakeToken(handshake) {
+  if (handshake.auth?.token) return String(handshake.auth.token);
+
+  const bearer = String(handshake.headers?.authorization || "").match(/^Bearer\s+(.+)$/i);
+  if (bearer) return bearer[1].trim();
+
+  return readCookie(handshake.headers?.cookie, USER_COOKIE);
+}
+
+const userRoom = (userId) => `user:${userId}`;
+const sessionRoom = (sid) => `session:${sid}`;
+
+// io.use(socketAuth)
+async function socketAuth(socket, next) {
+  try {
+    const session = await resolveUserToken(handshakeToken(socket.handshake));
+    if (!session) {
+      const err = new Error("Not signed in");
+      err.data = { code: "UNAUTHORIZED" };
+      return next(err);
+    }
+
+    socket.data.userId = String(session.userId);
+    socket.data.sid = session.sid;
+    next();
+  } catch (err) {
+    console.error("socketAuth error:", err);
+    next(new Error("Server error"));
+  }
+}
+
+// Call once per connection, after socketAuth has run
+function joinVerifiedRooms(socket) {
+  socket.join(userRoom(socket.data.userId));
+  socket.join(sessionRoom(socket.data.sid));
+}
+
+// Kick live sockets when their session(s) are revoked over HTTP
+function disconnectSession(io, sid) {
+  if (io && sid) io.in(sessionRoom(sid)).disconnectSockets(true);
+}
+
+function disconnectUser(io, userId) {
+  if (io && userId) io.in(userRoom(userId)).disconnectSockets(true);
+}
+
+module.exports = {
+  socketAuth,
+  joinVerifiedRooms,
+  disconnectSession,
+  disconnectUser,
+  userRoom,
+};
@@ -1,29 +1,25 @@
 const mongoose = require('mongoose');
 
-// ✅ Define reply schema separately with _id enabled
-const replySchema = new mongoose.Schema({
+// 📊 Poll bulletins (helpers/polls.js); the question is the bulletin content
+const pollOptionSchema = new mongoose.Schema({
   _id: { type: mongoose.Schema.Types.ObjectId, auto: true },
-  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   text: { type: String, required: true },
-  createdAt: { type: Date, default: Date.now },
-  likes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-  replies: [], // Will be defined recursively later
-  isNewComment: { type: Boolean, default: false }
+  votes: { type: Number, default: 0 }
 });
 
-// ✅ Enable recursive replies
-replySchema.add({ replies: [replySchema] });
+const pollSchema = new mongoose.Schema({
+  options: [pollOptionSchema],
+  totalVotes: { type: Number, default: 0 },
+  // Optional expiry: the duration is chosen up front, the clock starts on publish
+  durationHours: { type: Number, default: null },
+  expiresAt: { type: Date, default: null }
+}, { _id: false });
 
-const commentSchema = new mongoose.Schema({
-  _id: { type: mongoose.Schema.Types.ObjectId, auto: true },
+// @mentions resolved at publish / edit time (helpers/mentions.js)
+const mentionSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  text: { type: String, required: true },
-  createdAt: { type: Date, default: Date.now },
-  likes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-  reposts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-  replies: [replySchema],
-  isNewComment: { type: Boolean, default: false }
-});
+  handle: { type: String, required: true }
+}, { _id: false });
 
 const bulletinSchema = new mongoose.Schema({
   userId: {
@@ -33,7 +29,7 @@ const bulletinSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['text', 'image', 'video', 'ama'],
+    enum: ['text', 'image', 'video', 'ama', 'poll'],
     required: true
   },
   content: {
@@ -42,6 +38,10 @@ const bulletinSchema = new mongoose.Schema({
   mediaUrl: {
     type: String // for image/video posts
   },
+  poll: {
+    type: pollSchema,
+    default: undefined
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -68,7 +68,21 @@ const bulletinSchema = new mongoose.Schema({
     ref: 'User',
     default: null
   },
-  comments: [commentSchema],
+  // 💬 Quote repost: a repost carrying the reposter's own text
+  isQuote: {
+    type: Boolean,
+    default: false
+  },
+  quoteText: {
+    type: String,
+    default: ''
+  },
+  // Comments live in models/Comment.js (scripts/migrateComments.js moved the
+  // old embedded array); this is the running total for ranking and display
+  commentCount: {
+    type: Number,
+    default: 0
+  },
   communityId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Community',
@@ -115,19 +129,76 @@ const bulletinSchema = new mongoose.Schema({
     index: true
   }
 ],
+// #️⃣ Where `tags` came from (helpers/hashtags.js): tags = hashtags ∪ aiTags.
+// Bulletins from before hashtags only have `tags` (all AI).
+hashtags: {
+  type: [String],
+  default: []
+},
+aiTags: {
+  type: [String],
+  default: []
+},
 aiTagConfidence: {
   type: Number,
   default: 0
 },
+// Unique viewers per view window (helpers/viewCounts.js)
+viewCount: {
+  type: Number,
+  default: 0
+},
+// 📝 Drafts & scheduled posts (helpers/bulletinPublishing.js).
+// Older bulletins have no status and count as published.
+status: {
+  type: String,
+  enum: ['draft', 'scheduled', 'published'],
+  default: 'published'
+},
+scheduledFor: {
+  type: Date,
+  default: null
+},
+// Scheduler claim, so two instances never publish the same post
+publishLockUntil: {
+  type: Date,
+  default: null
+},
+publishAttempts: {
+  type: Number,
+  default: 0
+},
+publishError: {
+  type: String,
+  default: null
+},
+// ✏️ Set by PATCH /api/bulletins/:id; prior versions live in BulletinRevision
+editedAt: {
+  type: Date,
+  default: null
+},
+revisionCount: {
+  type: Number,
+  default: 0
+},
+// 📣 @mentions in content (quotes: in quoteText)
+mentions: {
+  type: [mentionSchema],
+  default: []
+},
 });
 
 // ✅ Suggested indexes for optimization
-bulletinSchema.index({ userId: 1, createdAt: -1 });
+bulletinSchema.index({ userId: 1, createdAt: -1, _id: -1 });       // cursor paging
 bulletinSchema.index({ communityId: 1 });
 bulletinSchema.index({ communityId: 1, approved: 1 });
+bulletinSchema.index({ communityId: 1, approved: 1, createdAt: -1, _id: -1 }); // community feed
 bulletinSchema.index({ communityId: 1, reportedToMods: 1 });      // updated
 bulletinSchema.index({ communityId: 1, reportedToQuikMod: 1 });   // new
 bulletinSchema.index({ repostOf: 1 });
 bulletinSchema.index({ createdAt: -1 });
+bulletinSchema.index({ status: 1, scheduledFor: 1 });              // scheduler
+bulletinSchema.index({ userId: 1, status: 1, createdAt: -1 });    // drafts list
+bulletinSchema.index({ tags: 1, createdAt: -1, _id: -1 });         // tag pages
 
 module.exports = mongoose.model('Bulletin', bulletinSchema);
\ No newline at end of file
@@ -0,0 +1,24 @@
+// models/BulletinRevision.js
+const mongoose = require("mongoose");
+
+// A superseded version of a bulletin, written each time the author edits it
+// (PATCH /api/bulletins/:id). Kept so moderators can see what was actually
+// posted — and reported — before an edit.
+const BulletinRevisionSchema = new mongoose.Schema(
+  {
+    bulletinId: { type: mongoose.Schema.Types.ObjectId, ref: "Bulletin", required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    content: { type: String, default: "" },
+    mediaUrl: { type: String, default: null },
+    tags: [{ type: String }],
+    // When this version went live (publish time or the previous edit)
+    postedAt: { type: Date, required: true },
+    // When the edit replaced it
+    replacedAt: { type: Date, default: Date.now },
+  },
+  { versionKey: false, collection: "bulletin_revisions" }
+);
+
+BulletinRevisionSchema.index({ bulletinId: 1, replacedAt: -1 });
+
+module.exports = mongoose.model("BulletinRevision", BulletinRevisionSchema);
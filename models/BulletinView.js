@@ -0,0 +1,17 @@
+// models/BulletinView.js
+const mongoose = require("mongoose");
+
+// Dedupe marker: this viewer has already been counted for this bulletin in
+// this view window. Inserting one is what bumps Bulletin.viewCount.
+const BulletinViewSchema = new mongoose.Schema(
+  {
+    _id: { type: String },   // "<bulletinId>:<userId>:<windowIndex>"
+    bulletinId: { type: mongoose.Schema.Types.ObjectId, ref: "Bulletin", required: true },
+    expiresAt: { type: Date, required: true }, // end of the window
+  },
+  { versionKey: false, collection: "bulletin_views" }
+);
+
+BulletinViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("BulletinView", BulletinViewSchema);
@@ -0,0 +1,49 @@
+// models/Comment.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Bulletin comments, one document each (they used to be embedded in
+// Bulletin.comments as a recursive array). Threads are a tree:
+//   parentId – direct parent (null for top-level comments)
+//   depth    – 0 for top-level
+//   path     – ancestor ids + own id joined by "/", so a whole subtree is one
+//              prefix query: { path: /^<id>\// }
+// @mentions resolved when the comment is written or edited (helpers/mentions.js)
+const MentionSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    handle: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+const CommentSchema = new Schema(
+  {
+    bulletinId: { type: Schema.Types.ObjectId, ref: "Bulletin", required: true },
+    // Denormalized so delete permission checks don't need the bulletin
+    bulletinOwner: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    text: { type: String, required: true },
+    likes: [{ type: Schema.Types.ObjectId, ref: "User" }],
+
+    parentId: { type: Schema.Types.ObjectId, ref: "Comment", default: null },
+    depth: { type: Number, default: 0 },
+    path: { type: String, required: true },
+    replyCount: { type: Number, default: 0 },
+    mentions: { type: [MentionSchema], default: [] },
+
+    // Set when the author edits the text
+    editedAt: { type: Date, default: null },
+    // Tombstone: a deleted comment that still has replies keeps its place in
+    // the thread with the text cleared (leaf comments are removed outright)
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: String, enum: ["author", "owner", "moderator", "staff", null], default: null },
+  },
+  { timestamps: true }
+);
+
+// Top-level page / replies page, both oldest first with an _id tiebreak
+CommentSchema.index({ bulletinId: 1, parentId: 1, createdAt: 1, _id: 1 });
+CommentSchema.index({ path: 1 });
+
+module.exports = mongoose.model("Comment", CommentSchema);
@@ -0,0 +1,28 @@
+// models/CommentActivity.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// One row per person a comment is for, written when the comment is posted:
+//   "comment" – someone commented on (or replied within) your bulletin
+//   "reply"   – someone replied to your comment
+// Read state is a single per-user timestamp (User.dashboardData.commentsReadAt),
+// so marking everything read never touches these rows.
+const CommentActivitySchema = new Schema(
+  {
+    recipient: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    actor: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    kind: { type: String, enum: ["comment", "reply"], required: true },
+    bulletinId: { type: Schema.Types.ObjectId, ref: "Bulletin", required: true },
+    commentId: { type: Schema.Types.ObjectId, ref: "Comment", required: true },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { versionKey: false, collection: "comment_activity" }
+);
+
+// The inbox: newest first with an _id tiebreak; also the unread count range
+CommentActivitySchema.index({ recipient: 1, createdAt: -1, _id: -1 });
+// One row per comment per recipient (and cleanup when a comment goes)
+CommentActivitySchema.index({ commentId: 1, recipient: 1 }, { unique: true });
+CommentActivitySchema.index({ bulletinId: 1 });
+
+module.exports = mongoose.model("CommentActivity", CommentActivitySchema);
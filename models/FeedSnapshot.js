@@ -0,0 +1,20 @@
+// models/FeedSnapshot.js
+const mongoose = require("mongoose");
+
+// Frozen ordering of a ranked feed (trending / for-you) so later pages of the
+// same scroll read from the list page 1 was cut from.
+const FeedSnapshotSchema = new mongoose.Schema(
+  {
+    _id: { type: String },                                       // random snapshot id
+    kind: { type: String, required: true },                      // "trending" | "for-you"
+    ownerId: { type: mongoose.Schema.Types.ObjectId, default: null }, // personal feeds only
+    ids: [{ type: mongoose.Schema.Types.ObjectId }],             // bulletin ids, ranked
+    explain: { type: [mongoose.Schema.Types.Mixed], default: undefined }, // ?explain=1 only
+    expiresAt: { type: Date, required: true },
+  },
+  { versionKey: false, collection: "feed_snapshots" }
+);
+
+FeedSnapshotSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("FeedSnapshot", FeedSnapshotSchema);
@@ -0,0 +1,37 @@
+// models/ForYouFeed.js
+const mongoose = require("mongoose");
+
+// One scored item; mixed into the final order per request
+const FeedEntrySchema = new mongoose.Schema(
+  {
+    id: { type: mongoose.Schema.Types.ObjectId, required: true }, // bulletin
+    bucket: { type: String, required: true }, // interest | friends | trending | recent
+    score: { type: Number, default: 0 },
+    components: {
+      tagAffinity: Number,
+      recency: Number,
+      engagement: Number,
+    },
+  },
+  { _id: false }
+);
+
+// Materialized For You feed for one user (see helpers/forYouFeed.js).
+// `entries` is capped at FEED_SIZE when written.
+const ForYouFeedSchema = new mongoose.Schema(
+  {
+    _id: { type: mongoose.Schema.Types.ObjectId }, // the user
+    entries: [FeedEntrySchema],
+    builtAt: { type: Date, required: true },
+    lastReadAt: { type: Date, default: Date.now },
+    stale: { type: Boolean, default: false },
+  },
+  { versionKey: false, collection: "for_you_feeds" }
+);
+
+ForYouFeedSchema.index({ lastReadAt: -1, stale: 1, builtAt: 1 });
+
+// Readers who went quiet don't need a feed kept around
+ForYouFeedSchema.index({ lastReadAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("ForYouFeed", ForYouFeedSchema);
@@ -13,7 +13,7 @@ const interactionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ["view", "like", "repost", "comment", "click"],
+    enum: ["view", "like", "repost", "quote", "comment", "vote", "click", "hide", "show_less"],
     required: true,
   },
   createdAt: {
@@ -22,4 +22,7 @@ const interactionSchema = new mongoose.Schema({
   },
 });
 
+// View-count rebuilds scan views per bulletin
+interactionSchema.index({ bulletinId: 1, type: 1, createdAt: -1 });
+
 module.exports = mongoose.model("Interaction", interactionSchema);
\ No newline at end of file
@@ -0,0 +1,23 @@
+// models/LockoutEvent.js
+const mongoose = require("mongoose");
+
+// Audit trail for login lockouts (who/what got locked, who unlocked it)
+const LockoutEventSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, index: true },   // throttle key
+    app: { type: String, required: true },                // "mytop6" | "watchtower" | "mainframe"
+    scope: { type: String, enum: ["account", "ip"], required: true },
+    subject: { type: String, required: true },            // username / phone / ip
+    event: { type: String, enum: ["locked", "unlocked"], required: true },
+
+    lockedUntil: { type: Date, default: null },
+    lockCount: { type: Number, default: 0 },              // nth lock in the current streak
+    ip: { type: String, default: null },                  // ip of the failing request
+    by: { type: String, default: null },                  // staff username for manual unlocks
+  },
+  { timestamps: true }
+);
+
+LockoutEventSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("LockoutEvent", LockoutEventSchema);
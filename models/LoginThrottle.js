@@ -0,0 +1,19 @@
+// models/LoginThrottle.js
+const mongoose = require("mongoose");
+
+// Failed-login bookkeeping for one key (e.g. "watchtower:acct:jdoe")
+const LoginThrottleSchema = new mongoose.Schema(
+  {
+    _id: { type: String },                 // the throttle key
+    failures: [{ type: Date }],            // recent failure timestamps (sliding window)
+    lockedUntil: { type: Date, default: null },
+    lockCount: { type: Number, default: 0 }, // locks in the current streak (progressive)
+    // Housekeeping: Mongo drops idle keys once this passes
+    expiresAt: { type: Date, required: true },
+  },
+  { versionKey: false, collection: "login_throttles" }
+);
+
+LoginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginThrottle", LoginThrottleSchema);
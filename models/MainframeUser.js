@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcrypt");
+const StaffTwoFactorSchema = require("./StaffTwoFactor");
 
 const MainframeUserSchema = new mongoose.Schema({
   // Human-friendly name shown in UI (e.g., "Kaguya Otsutsuki")
@@ -12,9 +13,16 @@ const MainframeUserSchema = new mongoose.Schema({
 
   role: { type: String, enum: ["admin","lead","analyst","viewer"], default: "analyst" },
 
+  // TOTP 2FA (opt-in per operator; see routes/_staffTwoFactor.js)
+  twoFactor: { type: StaffTwoFactorSchema, default: () => ({}) },
+
   createdAt: { type: Date, default: Date.now },
 });
 
+MainframeUserSchema.methods.setPassword = async function (password) {
+  this.passwordHash = await bcrypt.hash(password, 12);
+};
+
 MainframeUserSchema.methods.verifyPassword = function (password) {
   return bcrypt.compare(password, this.passwordHash);
 };
@@ -4,7 +4,7 @@ const notificationSchema = new mongoose.Schema(
   {
     type: {
       type: String,
-      enum: ["like", "repost", "comment"],
+      enum: ["like", "repost", "quote", "comment", "comment_like", "mention"],
       required: true,
     },
     fromUser: {
@@ -17,10 +17,30 @@ const notificationSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Every type points at a bulletin except mentions in thread replies
     bulletinId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Bulletin",
-      required: true,
+      required: function () {
+        return !this.threadId;
+      },
+    },
+    // For comment_like / mention: which comment on the bulletin
+    commentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    // For mentions in community threads
+    threadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Thread",
+      default: null,
+    },
+    threadReplyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ThreadReply",
+      default: null,
     },
     isRead: {
       type: Boolean,
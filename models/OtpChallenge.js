@@ -0,0 +1,19 @@
+// models/OtpChallenge.js
+const mongoose = require("mongoose");
+
+// One outstanding one-time code per (purpose, phone). Only the hash is stored.
+// With Twilio Verify the code lives at Twilio and this only marks the purpose.
+const OtpChallengeSchema = new mongoose.Schema(
+  {
+    _id: { type: String },                  // "<purpose>:<phone>"
+    codeHash: { type: String, default: null }, // null: Twilio Verify purpose marker
+    attempts: { type: Number, default: 0 }, // failed verify attempts
+    sentAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+  },
+  { versionKey: false, collection: "otp_challenges" }
+);
+
+OtpChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("OtpChallenge", OtpChallengeSchema);
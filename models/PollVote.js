@@ -0,0 +1,18 @@
+// models/PollVote.js
+const mongoose = require("mongoose");
+
+// One row per voter per poll; the _id is what makes it one vote per user.
+const PollVoteSchema = new mongoose.Schema(
+  {
+    _id: { type: String },   // "<bulletinId>:<userId>"
+    bulletinId: { type: mongoose.Schema.Types.ObjectId, ref: "Bulletin", required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    optionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { versionKey: false, collection: "poll_votes" }
+);
+
+PollVoteSchema.index({ bulletinId: 1, optionId: 1 });
+
+module.exports = mongoose.model("PollVote", PollVoteSchema);
@@ -0,0 +1,33 @@
+// models/Session.js
+const mongoose = require("mongoose");
+
+const SessionSchema = new mongoose.Schema(
+  {
+    // Opaque, crypto-random session id (what the cookie / header carries)
+    sid: { type: String, required: true, unique: true },
+
+    // Which console / app minted it: "watchtower" | "mainframe" | ...
+    app: { type: String, required: true },
+
+    userId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    username: { type: String, default: null },
+    role: { type: String, default: null },
+
+    // Request metadata captured at login (shown in "active sessions" lists)
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null },
+
+    lastSeenAt: { type: Date, default: Date.now },
+
+    // Sliding expiry: pushed forward on use, never past absoluteExpiresAt
+    expiresAt: { type: Date, required: true },
+    absoluteExpiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+// Mongo drops the doc once expiresAt passes (TTL monitor runs ~every 60s)
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+SessionSchema.index({ userId: 1, app: 1 });
+
+module.exports = mongoose.model("Session", SessionSchema);
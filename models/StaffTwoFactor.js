@@ -0,0 +1,18 @@
+// models/StaffTwoFactor.js
+const mongoose = require("mongoose");
+
+// Embedded TOTP state shared by WatchtowerUser and MainframeUser.
+// Secrets are AES-GCM encrypted (helpers/totp.js); recovery codes are hashed.
+const StaffTwoFactorSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, default: null },         // active secret (encrypted)
+    pendingSecret: { type: String, default: null },  // enrollment in progress (encrypted)
+    lastUsedStep: { type: Number, default: -1 },     // replay guard
+    recoveryCodes: [{ type: String }],               // sha256 of unused codes
+    enabledAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+module.exports = StaffTwoFactorSchema;
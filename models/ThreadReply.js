@@ -2,6 +2,15 @@
 const mongoose = require("mongoose");
 const { Schema } = mongoose;
 
+// @mentions in body (helpers/mentions.js)
+const MentionSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    handle: { type: String, required: true },
+  },
+  { _id: false }
+);
+
 const ThreadReplySchema = new Schema(
   {
     thread: { type: Schema.Types.ObjectId, ref: "Thread", required: true },
@@ -10,6 +19,8 @@ const ThreadReplySchema = new Schema(
 
     // 👇 NEW: if null => top-level comment; if set => reply to that top-level comment
     parentReply: { type: Schema.Types.ObjectId, ref: "ThreadReply", default: null },
+
+    mentions: { type: [MentionSchema], default: [] },
   },
   { timestamps: true }
 );
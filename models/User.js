@@ -193,16 +193,41 @@ const userSchema = new mongoose.Schema(
     // ✅ Dashboard data (new comments count, etc.)
     dashboardData: {
       newComments: { type: Number, default: 0 },
+      // Comment inbox read marker: activity after this is unread
+      commentsReadAt: { type: Date, default: null },
       newNotes: { type: Number, default: 0 },
       unreadMessages: { type: Number, default: 0 },
     },
 
     // 🔮 AI personalization: tag interest profile
+    // (weights decay over time and go negative for "show less like this";
+    // see helpers/interests.js)
     interestTags: {
       type: Map,
       of: Number,
       default: {},
     },
+    interestTagsDecayedAt: { type: Date, default: null },
+    // #️⃣ Followed tags: held at a minimum interest weight while followed
+    followedTags: { type: [String], default: [] },
+
+    // 🚫 Blocked users (private: never sent with the profile)
+    blockedUsers: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+      select: false,
+    },
+
+    // 🔒 Privacy: who may @mention this user
+    privacy: {
+      mentions: {
+        type: String,
+        enum: ['everyone', 'friends', 'nobody'],
+        default: 'everyone',
+      },
+    },
+
+    // 🙈 Bulletins hidden from this user's For You feed (newest last, capped)
+    hiddenBulletins: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Bulletin' }],
 
     // ✅ Ask Me Anything feature
     askMeAnythingEnabled: { type: Boolean, default: false },
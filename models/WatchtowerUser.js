@@ -1,17 +1,20 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcrypt");
+const StaffTwoFactorSchema = require("./StaffTwoFactor");
 
 const WatchtowerUserSchema = new mongoose.Schema(
   {
     username: { type: String, required: true, unique: true, lowercase: true, trim: true },
     passwordHash: { type: String, required: true },
     role: { type: String, enum: ["admin","supervisor","moderator","trainee"], default: "moderator" },
+    // TOTP 2FA (opt-in per operator; see routes/_staffTwoFactor.js)
+    twoFactor: { type: StaffTwoFactorSchema, default: () => ({}) },
   },
   { timestamps: true }
 );
 
 WatchtowerUserSchema.methods.setPassword = async function (password) {
-  this.passwordHash = await bcrypt.hash(password, 10);
+  this.passwordHash = await bcrypt.hash(password, 12);
 };
 
 WatchtowerUserSchema.methods.verifyPassword = function (password) {
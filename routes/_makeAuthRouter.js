@@ -1,57 +1,264 @@
 // routes/_makeAuthRouter.js
+// Shared staff auth stack (Watchtower, Mainframe): create / login / me / logout
+// + session management, backed by the shared persistent session store.
+// TOTP 2FA routes are mounted from ./_staffTwoFactor.
 const express = require("express");
-const { v4: uuid } = require("uuid");
+const {
+  SESSION_TTL_MS,
+  createSession,
+  getSession,
+  destroySession,
+  listUserSessions,
+  revokeUserSessions,
+  toPublicSession,
+} = require("../helpers/sessionStore");
+const {
+  checkLogin,
+  loginFailed,
+  loginSucceeded,
+  sendLoginBlocked,
+} = require("../helpers/loginLimiter");
+const requirePermission = require("../middleware/requirePermission");
+const { permissionsFor, canGrantRole } = require("../helpers/permissions");
+const { mountTwoFactorRoutes, issueTwoFactorChallenge } = require("./_staffTwoFactor");
 
-module.exports = function makeAuthRouter({ Model, cookieName, headerName }) {
+/**
+ * Options:
+ *  - Model            staff model (needs setPassword / verifyPassword)
+ *  - app              session app name, e.g. "watchtower"
+ *  - cookieName       session cookie, e.g. "wt_sid"
+ *  - headerName       session header, e.g. "x-watchtower-session-id"
+ *  - createPermission permission required to create accounts
+ *  - requiredFields   body fields required on create (besides username/password)
+ *  - toPublicUser     user doc -> response shape
+ */
+module.exports = function makeAuthRouter({
+  Model,
+  app,
+  cookieName,
+  headerName,
+  createPermission = "staff.create",
+  requiredFields = [],
+  toPublicUser = (user) => ({ _id: user._id, username: user.username, role: user.role }),
+}) {
   const router = express.Router();
-  const sessions = new Map(); // swap for Redis/Mongo later
+  const logPrefix = `[${app}-auth]`;
+
+  const readSid = (req) => req.cookies?.[cookieName] || req.get(headerName) || null;
+
+  // Resolve the caller's session for this console (or null)
+  async function currentSession(req) {
+    const session = await getSession(readSid(req));
+    return session && session.app === app ? session : null;
+  }
+
+  function setSessionCookie(req, res, sid) {
+    const isHttps = req.secure || req.headers["x-forwarded-proto"] === "https";
+    res.cookie(cookieName, sid, {
+      httpOnly: true,
+      secure: isHttps,
+      sameSite: isHttps ? "None" : "Lax",
+      path: "/",
+      maxAge: SESSION_TTL_MS,
+    });
+  }
+
+  // Open a console session + cookie; returns the login response body
+  async function startSession(req, res, user) {
+    const { sid } = await createSession({
+      app,
+      userId: user._id,
+      username: user.username,
+      role: user.role,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+    setSessionCookie(req, res, sid);
+
+    return {
+      message: "Login successful",
+      sid,
+      username: user.username,
+      user: toPublicUser(user),
+    };
+  }
+
+  // Create a staff account. Always needs a signed-in creator on this console,
+  // who can't grant a role above their own; a console's first admin comes
+  // from scripts/createStaffAdmin.js
+  const requireConsoleAuth = (req, res, next) => router.requireAuth(req, res, next);
+  router.post("/create", requireConsoleAuth, requirePermission(createPermission), async (req, res) => {
+    const body = req.body || {};
+    const required = [...requiredFields, "username", "password"];
+    if (required.some((f) => !body[f])) {
+      return res.status(400).json({ error: `Missing required fields: ${required.join(", ")}` });
+    }
 
-  router.post("/", async (req, res) => {
     try {
-      const { username, password, role } = req.body || {};
-      if (!username || !password) return res.status(400).json({ error: "username and password required" });
-      const user = new Model({ username, role });
-      await user.setPassword(password);
+      const uname = String(body.username).toLowerCase().trim();
+      const existing = await Model.findOne({ username: uname });
+      if (existing) return res.status(409).json({ error: "Username already exists" });
+
+      const fields = { username: uname };
+      for (const f of requiredFields) fields[f] = String(body[f]).trim();
+      fields.role = body.role;
+
+      const user = new Model(fields);
+      if (!canGrantRole(app, req.staff.role, user.role)) {
+        return res.status(403).json({ error: `You can't grant the "${user.role}" role.` });
+      }
+      await user.setPassword(body.password);
       await user.save();
-      res.status(201).json({ _id: user._id, username: user.username, role: user.role });
-    } catch (e) {
-      res.status(400).json({ error: e.message });
+
+      res.status(201).json({ message: "User created successfully", user: toPublicUser(user) });
+    } catch (err) {
+      if (err?.name === "ValidationError") {
+        return res.status(400).json({ error: err.message });
+      }
+      console.error(`${logPrefix} create error:`, err);
+      res.status(500).json({ error: "Server error" });
     }
   });
 
   router.post("/login", async (req, res) => {
     const { username, password } = req.body || {};
-    const user = await Model.findOne({ username: String(username || "").toLowerCase().trim() });
-    if (!user || !(await user.verifyPassword(password))) return res.status(401).json({ error: "Invalid credentials" });
-    const sid = uuid();
-    sessions.set(sid, { userId: user._id, at: Date.now() });
-    res.cookie(cookieName, sid, { httpOnly: true, sameSite: "lax" });
-    res.json({ sid, user: { _id: user._id, username: user.username, role: user.role } });
+
+    try {
+      if (!username || !password) {
+        return res.status(400).json({ error: "Missing username or password" });
+      }
+
+      const uname = String(username).toLowerCase().trim();
+      const attempt = { app, account: uname, ip: req.ip };
+
+      const gate = await checkLogin(attempt);
+      if (!gate.allowed) return sendLoginBlocked(res, gate);
+
+      const user = await Model.findOne({ username: uname });
+      const valid = !!user && (await user.verifyPassword(password));
+
+      if (!valid) {
+        const result = await loginFailed(attempt);
+        if (result.locked) {
+          console.warn(`${logPrefix} locked ${uname} after repeated failures`);
+        }
+        return res.status(401).json({ error: "Invalid credentials" });
+      }
+
+      // Password is right; 2FA operators still owe a code (POST /login/2fa)
+      if (user.twoFactor?.enabled) {
+        const challenge = await issueTwoFactorChallenge(app, user, req);
+        return res.status(200).json({
+          message: "Two-factor code required",
+          twoFactorRequired: true,
+          challenge,
+        });
+      }
+
+      await loginSucceeded(attempt);
+
+      return res.status(200).json(await startSession(req, res, user));
+    } catch (err) {
+      console.error(`${logPrefix} login error:`, err);
+      return res.status(500).json({ error: "Server error" });
+    }
   });
 
   router.get("/me", async (req, res) => {
-    const sid = req.get(headerName) || req.cookies?.[cookieName];
-    const s = sid && sessions.get(sid);
-    if (!s) return res.status(401).json({ error: "Not signed in" });
-    const user = await Model.findById(s.userId).lean();
-    if (!user) return res.status(401).json({ error: "Session invalid" });
-    res.json({ _id: user._id, username: user.username, role: user.role });
+    try {
+      const s = await currentSession(req);
+      if (!s) return res.status(401).json({ error: "Not authenticated" });
+
+      const user = await Model.findById(s.userId);
+      if (!user) return res.status(401).json({ error: "Session invalid" });
+
+      res.json({
+        ok: true,
+        userId: user._id,
+        username: user.username,
+        role: user.role,
+        user: toPublicUser(user),
+        permissions: permissionsFor(app, user.role),
+        twoFactorEnabled: !!user.twoFactor?.enabled,
+      });
+    } catch (err) {
+      console.error(`${logPrefix} me error:`, err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.post("/logout", async (req, res) => {
+    try {
+      await destroySession(readSid(req));
+      res.clearCookie(cookieName, { path: "/" });
+      res.json({ ok: true, message: "Logged out" });
+    } catch (err) {
+      console.error(`${logPrefix} logout error:`, err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // List the signed-in operator's active sessions
+  router.get("/sessions", async (req, res) => {
+    try {
+      const s = await currentSession(req);
+      if (!s) return res.status(401).json({ error: "Not authenticated" });
+
+      const list = await listUserSessions(s.userId, { app });
+      res.json({ ok: true, sessions: list.map((r) => toPublicSession(r, s.sid)) });
+    } catch (err) {
+      console.error(`${logPrefix} sessions error:`, err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // Revoke one of the operator's own sessions (id = short id from GET /sessions)
+  router.delete("/sessions/:id", async (req, res) => {
+    try {
+      const s = await currentSession(req);
+      if (!s) return res.status(401).json({ error: "Not authenticated" });
+
+      const list = await listUserSessions(s.userId, { app });
+      const target = list.find((r) => toPublicSession(r).id === req.params.id);
+      if (!target) return res.status(404).json({ error: "Session not found" });
+
+      await destroySession(target.sid);
+      res.json({ ok: true, message: "Session revoked" });
+    } catch (err) {
+      console.error(`${logPrefix} revoke session error:`, err);
+      res.status(500).json({ error: "Server error" });
+    }
   });
 
-  router.post("/logout", (req, res) => {
-    const sid = req.get(headerName) || req.cookies?.[cookieName];
-    if (sid) sessions.delete(sid);
-    res.json({ ok: true });
+  // Sign out everywhere else
+  router.post("/sessions/revoke-others", async (req, res) => {
+    try {
+      const s = await currentSession(req);
+      if (!s) return res.status(401).json({ error: "Not authenticated" });
+
+      const revoked = await revokeUserSessions(s.userId, { app, exceptSid: s.sid });
+      res.json({ ok: true, revoked });
+    } catch (err) {
+      console.error(`${logPrefix} revoke-others error:`, err);
+      res.status(500).json({ error: "Server error" });
+    }
   });
 
-  // optional middleware export
-  router.requireAuth = (req, res, next) => {
-    const sid = req.get(headerName) || req.cookies?.[cookieName];
-    const s = sid && sessions.get(sid);
-    if (!s) return res.status(401).json({ error: "Not signed in" });
-    req.session = s;
-    next();
+  // Middleware: require a session for *this* console
+  router.requireAuth = async (req, res, next) => {
+    try {
+      const s = await currentSession(req);
+      if (!s) return res.status(401).json({ error: "Not signed in" });
+      req.user = s;
+      req.sid = s.sid;
+      next();
+    } catch (err) {
+      console.error(`${logPrefix} requireAuth error:`, err);
+      res.status(500).json({ error: "Server error" });
+    }
   };
 
+  mountTwoFactorRoutes(router, { Model, app, logPrefix, startSession });
+
   return router;
-};
\ No newline at end of file
+};
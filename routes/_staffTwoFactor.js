@@ -0,0 +1,321 @@
+// routes/_staffTwoFactor.js
+// TOTP 2FA for the staff consoles, mounted by _makeAuthRouter:
+//
+//   POST /login/2fa                  finish a login that returned twoFactorRequired
+//   GET  /2fa                        enrollment status for the signed-in operator
+//   POST /2fa/setup                  start enrollment -> { secret, otpauthUrl }
+//   POST /2fa/enable                 confirm with a code -> one-time recovery codes
+//   POST /2fa/disable                password + code (or recovery code)
+//   POST /2fa/recovery-codes         regenerate recovery codes (needs a code)
+//   POST /staff/:userId/2fa/reset    admin: wipe an operator's 2FA + sessions
+//
+// Between the password step and the code step the login is parked in the
+// session store under "<app>:2fa", which no auth middleware accepts.
+const mongoose = require("mongoose");
+const {
+  createSession,
+  getSession,
+  destroySession,
+  revokeUserSessions,
+} = require("../helpers/sessionStore");
+const {
+  checkLogin,
+  loginFailed,
+  loginSucceeded,
+  sendLoginBlocked,
+} = require("../helpers/loginLimiter");
+const {
+  generateSecret,
+  verifyTotp,
+  otpauthUrl,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+} = require("../helpers/totp");
+const requirePermission = require("../middleware/requirePermission");
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+const challengeApp = (app) => `${app}:2fa`;
+
+/** Park a password-verified login until the second factor arrives. */
+async function issueTwoFactorChallenge(app, user, req) {
+  const { sid } = await createSession(
+    {
+      app: challengeApp(app),
+      userId: user._id,
+      username: user.username,
+      role: user.role,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+    { ttlMs: CHALLENGE_TTL_MS, maxAgeMs: CHALLENGE_TTL_MS }
+  );
+  return sid;
+}
+
+/**
+ * Check a TOTP code or a recovery code and burn it. Both updates are
+ * conditional, so the same code can't be used twice even concurrently.
+ * Returns "totp" | "recovery" | null.
+ */
+async function consumeSecondFactor(Model, user, { code, recoveryCode }) {
+  const tf = user.twoFactor;
+  if (!tf?.enabled || !tf.secret) return null;
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(tf.secret), code, { afterStep: tf.lastUsedStep });
+    if (step === null) return null;
+
+    const { modifiedCount } = await Model.updateOne(
+      { _id: user._id, "twoFactor.lastUsedStep": { $lt: step } },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    return modifiedCount === 1 ? "totp" : null;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const { modifiedCount } = await Model.updateOne(
+      { _id: user._id, "twoFactor.recoveryCodes": hash },
+      { $pull: { "twoFactor.recoveryCodes": hash } }
+    );
+    return modifiedCount === 1 ? "recovery" : null;
+  }
+
+  return null;
+}
+
+const clearedTwoFactor = () => ({
+  enabled: false,
+  secret: null,
+  pendingSecret: null,
+  lastUsedStep: -1,
+  recoveryCodes: [],
+  enabledAt: null,
+});
+
+/**
+ * ctx: { Model, app, logPrefix, startSession(req, res, user) -> response body }
+ */
+function mountTwoFactorRoutes(router, { Model, app, logPrefix, startSession }) {
+  const requireAuth = (req, res, next) => router.requireAuth(req, res, next);
+
+  // Signed-in 2FA changes: wrong passwords / codes count against the same
+  // lockout as logins, so a stolen session can't brute-force the code
+  const accountAttempt = (req, user) => ({ app, account: user.username, ip: req.ip });
+
+  async function rejectAttempt(res, attempt, error) {
+    const result = await loginFailed(attempt);
+    if (result.locked) {
+      console.warn(`${logPrefix} locked ${attempt.account} after repeated 2FA failures`);
+    }
+    return res.status(401).json({ error });
+  }
+
+  router.post("/login/2fa", async (req, res) => {
+    const { challenge, code, recoveryCode } = req.body || {};
+
+    try {
+      if (!challenge || (!code && !recoveryCode)) {
+        return res.status(400).json({ error: "Missing challenge or code" });
+      }
+
+      const pending = await getSession(challenge, { ttlMs: CHALLENGE_TTL_MS });
+      if (!pending || pending.app !== challengeApp(app)) {
+        return res.status(401).json({ error: "Login challenge expired. Sign in again." });
+      }
+
+      // Wrong codes count against the same lockout as wrong passwords
+      const attempt = { app, account: pending.username, ip: req.ip };
+      const gate = await checkLogin(attempt);
+      if (!gate.allowed) return sendLoginBlocked(res, gate);
+
+      const user = await Model.findById(pending.userId);
+      if (!user) {
+        await destroySession(challenge);
+        return res.status(401).json({ error: "Invalid credentials" });
+      }
+
+      const via = await consumeSecondFactor(Model, user, { code, recoveryCode });
+      if (!via) {
+        const result = await loginFailed(attempt);
+        if (result.locked) {
+          await destroySession(challenge);
+          console.warn(`${logPrefix} locked ${user.username} after repeated 2FA failures`);
+        }
+        return res.status(401).json({ error: "Invalid code" });
+      }
+
+      await destroySession(challenge);
+      await loginSucceeded(attempt);
+
+      const body = await startSession(req, res, user);
+      if (via === "recovery") {
+        body.recoveryCodesRemaining = Math.max(0, (user.twoFactor.recoveryCodes?.length || 1) - 1);
+      }
+      return res.status(200).json(body);
+    } catch (err) {
+      console.error(`${logPrefix} login/2fa error:`, err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.get("/2fa", requireAuth, async (req, res) => {
+    try {
+      const user = await Model.findById(req.user.userId).select("twoFactor");
+      if (!user) return res.status(401).json({ error: "Session invalid" });
+
+      const tf = user.twoFactor || {};
+      res.json({
+        ok: true,
+        enabled: !!tf.enabled,
+        enabledAt: tf.enabledAt || null,
+        pending: !tf.enabled && !!tf.pendingSecret,
+        recoveryCodesRemaining: tf.enabled ? (tf.recoveryCodes || []).length : 0,
+      });
+    } catch (err) {
+      console.error(`${logPrefix} 2fa status error:`, err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.post("/2fa/setup", requireAuth, async (req, res) => {
+    try {
+      const user = await Model.findById(req.user.userId);
+      if (!user) return res.status(401).json({ error: "Session invalid" });
+      if (user.twoFactor?.enabled) {
+        return res.status(409).json({ error: "Two-factor is already enabled" });
+      }
+
+      const secret = generateSecret();
+      user.twoFactor = { ...clearedTwoFactor(), pendingSecret: encryptSecret(secret) };
+      await user.save();
+
+      res.json({ ok: true, secret, otpauthUrl: otpauthUrl(secret, `${app}:${user.username}`) });
+    } catch (err) {
+      console.error(`${logPrefix} 2fa setup error:`, err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.post("/2fa/enable", requireAuth, async (req, res) => {
+    try {
+      const user = await Model.findById(req.user.userId);
+      if (!user) return res.status(401).json({ error: "Session invalid" });
+
+      const tf = user.twoFactor || {};
+      if (tf.enabled) return res.status(409).json({ error: "Two-factor is already enabled" });
+      if (!tf.pendingSecret) return res.status(400).json({ error: "Run /2fa/setup first" });
+
+      const secret = decryptSecret(tf.pendingSecret);
+      const step = verifyTotp(secret, req.body?.code);
+      if (step === null) return res.status(400).json({ error: "Invalid code" });
+
+      const { codes, hashes } = generateRecoveryCodes();
+      user.twoFactor = {
+        enabled: true,
+        secret: tf.pendingSecret,
+        pendingSecret: null,
+        lastUsedStep: step,
+        recoveryCodes: hashes,
+        enabledAt: new Date(),
+      };
+      await user.save();
+
+      // Shown exactly once
+      res.json({ ok: true, enabled: true, recoveryCodes: codes });
+    } catch (err) {
+      console.error(`${logPrefix} 2fa enable error:`, err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.post("/2fa/disable", requireAuth, async (req, res) => {
+    const { password, code, recoveryCode } = req.body || {};
+
+    try {
+      if (!password || (!code && !recoveryCode)) {
+        return res.status(400).json({ error: "Password and code are required" });
+      }
+
+      const user = await Model.findById(req.user.userId);
+      if (!user) return res.status(401).json({ error: "Session invalid" });
+      if (!user.twoFactor?.enabled) {
+        return res.status(400).json({ error: "Two-factor is not enabled" });
+      }
+
+      const attempt = accountAttempt(req, user);
+      const gate = await checkLogin(attempt);
+      if (!gate.allowed) return sendLoginBlocked(res, gate);
+
+      if (!(await user.verifyPassword(password))) {
+        return rejectAttempt(res, attempt, "Invalid credentials");
+      }
+      if (!(await consumeSecondFactor(Model, user, { code, recoveryCode }))) {
+        return rejectAttempt(res, attempt, "Invalid code");
+      }
+      await loginSucceeded(attempt);
+
+      await Model.updateOne({ _id: user._id }, { $set: { twoFactor: clearedTwoFactor() } });
+      res.json({ ok: true, enabled: false });
+    } catch (err) {
+      console.error(`${logPrefix} 2fa disable error:`, err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.post("/2fa/recovery-codes", requireAuth, async (req, res) => {
+    try {
+      const user = await Model.findById(req.user.userId);
+      if (!user) return res.status(401).json({ error: "Session invalid" });
+      if (!user.twoFactor?.enabled) {
+        return res.status(400).json({ error: "Two-factor is not enabled" });
+      }
+
+      const attempt = accountAttempt(req, user);
+      const gate = await checkLogin(attempt);
+      if (!gate.allowed) return sendLoginBlocked(res, gate);
+
+      if ((await consumeSecondFactor(Model, user, { code: req.body?.code })) !== "totp") {
+        return rejectAttempt(res, attempt, "Invalid code");
+      }
+      await loginSucceeded(attempt);
+
+      const { codes, hashes } = generateRecoveryCodes();
+      await Model.updateOne({ _id: user._id }, { $set: { "twoFactor.recoveryCodes": hashes } });
+
+      res.json({ ok: true, recoveryCodes: codes });
+    } catch (err) {
+      console.error(`${logPrefix} recovery-codes error:`, err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // Lost device, no recovery codes: an admin wipes 2FA and signs them out
+  router.post(
+    "/staff/:userId/2fa/reset",
+    requireAuth,
+    requirePermission("staff.2fa.reset"),
+    async (req, res) => {
+      try {
+        const target = mongoose.isValidObjectId(req.params.userId)
+          ? await Model.findById(req.params.userId).select("username")
+          : null;
+        if (!target) return res.status(404).json({ error: "User not found" });
+
+        await Model.updateOne({ _id: target._id }, { $set: { twoFactor: clearedTwoFactor() } });
+        const revoked = await revokeUserSessions(target._id, { app });
+
+        console.warn(`${logPrefix} 2FA reset for ${target.username} by ${req.staff.username}`);
+        res.json({ ok: true, username: target.username, sessionsRevoked: revoked });
+      } catch (err) {
+        console.error(`${logPrefix} 2fa reset error:`, err);
+        res.status(500).json({ error: "Server error" });
+      }
+    }
+  );
+}
+
+module.exports = { mountTwoFactorRoutes, issueTwoFactorChallenge };
@@ -2,26 +2,37 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
 const User = require('../models/User');
-const twilioClient = require("twilio")(
-  process.env.TWILIO_ACCOUNT_SID,
-  process.env.TWILIO_AUTH_TOKEN
-);
+const { USER_APP, issueUserSession, endUserSession } = require('../helpers/userSessions');
+const { revokeUserSessions } = require('../helpers/sessionStore');
+const { requireUser } = require('../middleware/requireUser');
+const { disconnectSession, disconnectUser } = require('../middleware/socketAuth');
+const {
+  checkLogin,
+  loginFailed,
+  loginSucceeded,
+  sendLoginBlocked,
+  accountKey,
+  unlock,
+  clearFailures,
+} = require('../helpers/loginLimiter');
+const { getOtpProvider, countPhoneSend, OtpError } = require('../helpers/otpProviders');
+const {
+  normalizePhone,
+  normalizeHandle,
+  checkHandleFormat,
+} = require('../helpers/registration');
 
 // 🔹 Dev-only OTP bypass config
 const DEV_MAGIC_OTP = process.env.DEV_MAGIC_OTP || "385338";
 const DEV_BYPASS_OTP = process.env.DEV_BYPASS_OTP === "true";
 const IS_DEV_BYPASS = DEV_BYPASS_OTP && process.env.NODE_ENV !== "production";
 
+const PASSWORD_MIN_LENGTH = 8;
+
 const router = express.Router();
 
 console.log("✅ authRoutes loaded: /api/auth/* is mounted");
 
-// Normalize phone: keep digits only, e.g. "(555) 123-4567" -> "5551234567"
-function normalizePhone(phone) {
-  if (!phone) return '';
-  return String(phone).replace(/\D/g, '').trim();
-}
-
 /* ========================================================================
    CHECK PHONE AVAILABILITY
    POST /api/auth/check-phone
@@ -68,12 +79,12 @@ router.post('/check-handle', async (req, res) => {
       return res.json({ available: false, reason: 'missing' });
     }
 
-    const clean = handle.toLowerCase().trim();
-
-    const allowedRegex = /^[a-zA-Z0-9_]+$/;
-    if (!allowedRegex.test(clean)) {
-      return res.json({ available: false, reason: "invalid-format" });
+    // Same format / reserved-word rules registration enforces
+    const problem = checkHandleFormat(handle);
+    if (problem) {
+      return res.json({ available: false, reason: problem });
     }
+    const clean = normalizeHandle(handle);
 
     const existing = await User.findOne({ handle: clean }).select('_id');
     const available = !existing;
@@ -102,21 +113,31 @@ router.post('/login', async (req, res) => {
     }
 
     const normalized = normalizePhone(phoneNumber);
+    const attempt = { app: 'mytop6', account: normalized, ip: req.ip };
+
+    const gate = await checkLogin(attempt);
+    if (!gate.allowed) return sendLoginBlocked(res, gate);
 
     const user = await User.findOne({ phoneNumber: normalized });
-    if (!user || user.banned) {
+    const ok = !!user && (await bcrypt.compare(password, user.passwordHash || ''));
+    if (!ok) {
+      await loginFailed(attempt);
       return res.status(401).json({ error: 'Invalid phone number or password.' });
     }
 
-    const ok = await bcrypt.compare(password, user.passwordHash || '');
-    if (!ok) {
+    if (user.banned) {
       return res.status(401).json({ error: 'Invalid phone number or password.' });
     }
 
+    await loginSucceeded(attempt);
+
+    const { token, expiresAt } = await issueUserSession(req, res, user);
+
     const safeUser = user.toObject();
     delete safeUser.passwordHash;
 
-    res.json(safeUser);
+    // User fields stay top-level so existing clients keep working
+    res.json({ ...safeUser, token, sessionExpiresAt: expiresAt });
   } catch (err) {
     console.error('Auth login error:', err);
     res.status(500).json({ error: 'Server error during login.' });
@@ -124,7 +145,63 @@ router.post('/login', async (req, res) => {
 });
 
 /* ========================================================================
-   OTP SEND  (Twilio DISABLED for now)
+   CURRENT USER
+   GET /api/auth/me
+   ======================================================================== */
+router.get('/me', requireUser, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('-passwordHash');
+    if (!user || user.banned) {
+      return res.status(401).json({ error: 'Session invalid.' });
+    }
+    res.json(user);
+  } catch (err) {
+    console.error('Auth me error:', err);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+/* ========================================================================
+   LOGOUT
+   POST /api/auth/logout
+   ======================================================================== */
+router.post('/logout', async (req, res) => {
+  try {
+    const sid = await endUserSession(req, res);
+    disconnectSession(req.app.get('io'), sid);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Auth logout error:', err);
+    res.status(500).json({ error: 'Server error during logout.' });
+  }
+});
+
+// verify() failure reason -> HTTP status + message
+const OTP_FAILURES = {
+  invalid: { status: 400, error: "Invalid code." },
+  expired: { status: 400, error: "Code expired or not found. Request a new one." },
+  "too-many-attempts": { status: 429, error: "Too many attempts. Request a new code." },
+};
+
+function sendOtpError(res, label, err, fallback) {
+  if (err instanceof OtpError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+
+  const twilioData = err.response?.data;
+  console.error(`❌ ${label} error:`, {
+    message: err.message,
+    twilioData,
+  });
+
+  return res.status(500).json({
+    error: twilioData?.message || fallback,
+    code: twilioData?.code,
+  });
+}
+
+/* ========================================================================
+   OTP SEND  (provider chosen by OTP_PROVIDER — see helpers/otpProviders.js)
    POST /api/auth/send-otp
    body: { phoneNumber }
    ======================================================================== */
@@ -137,58 +214,28 @@ router.post("/send-otp", async (req, res) => {
       return res.status(400).json({ error: "Phone number required." });
     }
 
-    const to = "+1" + normalized;
-
     if (IS_DEV_BYPASS) {
-      // 🔸 DEV MODE: do NOT call Twilio, just pretend SMS was sent
-      console.log("🧪 Dev SEND-OTP bypass for", to);
+      // 🔸 DEV MODE: don't send anything, the magic code will be accepted
+      console.log("🧪 Dev SEND-OTP bypass for", normalized);
       return res.json({
         status: "sent",
         devBypass: true,
-        note: "Twilio disabled in dev; no SMS actually sent.",
+        note: "Dev OTP bypass enabled; no SMS actually sent.",
       });
     }
 
-    // 🔻 PRODUCTION / REAL SMS (currently disabled)
-    console.log("⚠ Twilio send-otp is currently disabled in this build.");
-    return res.status(500).json({
-      error: "SMS sending is temporarily disabled on this server.",
-    });
-
-    /*
-    // 👉 ORIGINAL Twilio code (re-enable later if needed):
-
-    console.log("🔔 Sending OTP via Twilio Verify to:", to);
-
-    const verification = await twilioClient.verify.v2
-      .services(process.env.TWILIO_VERIFY_SERVICE_SID)
-      .verifications.create({
-        to,
-        channel: "sms",
-      });
-
-    console.log("✅ Twilio Verify response:", verification.status);
-
-    return res.json({ status: verification.status });
-    */
+    const { status } = await getOtpProvider().send({ phone: normalized, purpose: "verify" });
+    return res.json({ status });
   } catch (err) {
-    const twilioData = err.response?.data;
-    console.error("❌ send-otp error:", {
-      message: err.message,
-      twilioData,
-    });
-
-    return res.status(500).json({
-      error: twilioData?.message || "Failed to send OTP.",
-      code: twilioData?.code,
-    });
+    return sendOtpError(res, "send-otp", err, "Failed to send OTP.");
   }
 });
 
 /* ========================================================================
-   OTP VERIFY  (Twilio DISABLED for now)
+   OTP VERIFY
    POST /api/auth/verify-otp
    body: { phoneNumber, code }
+   Marks the matching account (if any) as phoneVerified.
    ======================================================================== */
 router.post("/verify-otp", async (req, res) => {
   try {
@@ -201,54 +248,129 @@ router.post("/verify-otp", async (req, res) => {
         .json({ error: "Phone number and code required." });
     }
 
-    const to = "+1" + normalized;
-
     if (IS_DEV_BYPASS && code === DEV_MAGIC_OTP) {
-      // 🔸 DEV MODE: accept magic code without Twilio
-      console.log("🧪 Dev OTP bypass used for", to, "with code", code);
+      // 🔸 DEV MODE: accept magic code without a provider round-trip
+      console.log("🧪 Dev OTP bypass used for", normalized);
+      await User.updateOne({ phoneNumber: normalized }, { $set: { phoneVerified: true } });
       return res.json({
         success: true,
         devBypass: true,
       });
     }
 
-    // 🔻 PRODUCTION / REAL Twilio Verify (currently disabled)
-    console.log("⚠ Twilio verify-otp is currently disabled in this build.");
-    return res.status(500).json({
-      error: "OTP verification via Twilio is temporarily disabled on this server.",
+    const result = await getOtpProvider().verify({
+      phone: normalized,
+      code: String(code),
+      purpose: "verify",
     });
 
-    /*
-    // 👉 ORIGINAL Twilio verify code (re-enable later if needed):
+    if (!result.ok) {
+      const failure = OTP_FAILURES[result.reason] || OTP_FAILURES.invalid;
+      return res
+        .status(failure.status)
+        .json({ success: false, error: failure.error, reason: result.reason });
+    }
 
-    console.log("🔍 Verifying OTP via Twilio for:", to);
+    // Signup verifies before the account exists; that's fine, nothing to update yet
+    await User.updateOne({ phoneNumber: normalized }, { $set: { phoneVerified: true } });
 
-    const result = await twilioClient.verify.v2
-      .services(process.env.TWILIO_VERIFY_SERVICE_SID)
-      .verificationChecks.create({
-        to,
-        code,
-      });
+    return res.json({ success: true });
+  } catch (err) {
+    return sendOtpError(res, "verify-otp", err, "Failed to verify OTP.");
+  }
+});
 
-    console.log("✅ Twilio verification status:", result.status);
+/* ========================================================================
+   FORGOT PASSWORD
+   POST /api/auth/forgot-password
+   body: { phoneNumber }
+   Sends a reset code over the OTP channel. Always answers the same way so
+   the endpoint can't be used to probe which numbers have accounts.
+   ======================================================================== */
+router.post("/forgot-password", async (req, res) => {
+  const normalized = normalizePhone(req.body?.phoneNumber);
+  if (!normalized) {
+    return res.status(400).json({ error: "Phone number required." });
+  }
 
-    if (result.status === "approved") {
-      return res.json({ success: true });
+  try {
+    const user = await User.findOne({ phoneNumber: normalized }).select("_id banned");
+    // Unknown numbers use up the same per-phone send cap, just without an SMS
+    if (user && !user.banned) {
+      await getOtpProvider().send({ phone: normalized, purpose: "reset" });
     } else {
-      return res.status(400).json({ success: false, error: "Invalid code" });
+      await countPhoneSend(normalized);
     }
-    */
   } catch (err) {
-    const twilioData = err.response?.data;
-    console.error("❌ verify-otp error:", {
+    // Cooldowns, caps and provider failures stay in the log: an error here
+    // would only ever show up for numbers that have accounts
+    console.error("❌ forgot-password send error:", {
       message: err.message,
-      twilioData,
+      twilioData: err.response?.data,
     });
+  }
 
-    return res.status(500).json({
-      error: twilioData?.message || "Failed to verify OTP.",
-      code: twilioData?.code,
+  return res.json({
+    status: "sent",
+    message: "If an account exists for this number, a reset code is on its way.",
+  });
+});
+
+/* ========================================================================
+   RESET PASSWORD
+   POST /api/auth/reset-password
+   body: { phoneNumber, code, newPassword }
+   Consumes the reset code, rotates the hash, signs out every session and
+   clears any login lockout on the account.
+   ======================================================================== */
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { phoneNumber, code, newPassword } = req.body || {};
+    const normalized = normalizePhone(phoneNumber);
+
+    if (!normalized || !code || !newPassword) {
+      return res
+        .status(400)
+        .json({ error: "Phone number, code and new password are required." });
+    }
+    if (String(newPassword).length < PASSWORD_MIN_LENGTH) {
+      return res
+        .status(400)
+        .json({ error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters.` });
+    }
+
+    const result = await getOtpProvider().verify({
+      phone: normalized,
+      code: String(code),
+      purpose: "reset",
     });
+    if (!result.ok) {
+      const failure = OTP_FAILURES[result.reason] || OTP_FAILURES.invalid;
+      return res
+        .status(failure.status)
+        .json({ success: false, error: failure.error, reason: result.reason });
+    }
+
+    const user = await User.findOne({ phoneNumber: normalized });
+    if (!user || user.banned) {
+      return res.status(400).json({ success: false, error: "Invalid code." });
+    }
+
+    user.passwordHash = await bcrypt.hash(String(newPassword), 12);
+    // Receiving the code proves the phone, same as verify-otp
+    user.phoneVerified = true;
+    await user.save();
+
+    const revoked = await revokeUserSessions(user._id, { app: USER_APP });
+    disconnectUser(req.app.get('io'), user._id);
+
+    const key = accountKey(USER_APP, normalized);
+    await unlock(key, { by: "password-reset" });
+    await clearFailures(key);
+
+    return res.json({ success: true, sessionsRevoked: revoked });
+  } catch (err) {
+    return sendOtpError(res, "reset-password", err, "Failed to reset password.");
   }
 });
 
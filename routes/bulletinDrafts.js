@@ -0,0 +1,247 @@
+// routes/bulletinDrafts.js
+// Drafts and scheduled bulletins, mounted at /api/bulletins/drafts (ahead of
+// the bulletins router). Only the author ever sees these; publishing — now,
+// or at scheduledFor via the scheduler — goes through helpers/bulletinPublishing.js.
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+const Bulletin = require('../models/Bulletin');
+const { requireUser } = require('../middleware/requireUser');
+const {
+  validateBulletinInput,
+  parseScheduledFor,
+  publishBulletin,
+  claimForPublish,
+  releaseClaim,
+} = require('../helpers/bulletinPublishing');
+const { UNPUBLISHED_STATUSES } = require('../helpers/bulletinStatus');
+
+const DRAFT_FIELDS =
+  '_id type content mediaUrl poll communityId status scheduledFor publishError createdAt';
+
+// The author's own draft / scheduled bulletin, or null
+const findOwnDraft = (id, userId) =>
+  mongoose.isValidObjectId(id)
+    ? Bulletin.findOne({ _id: id, userId, status: { $in: UNPUBLISHED_STATUSES } })
+    : null;
+
+// Still a draft and not being published (no live claim from the scheduler or
+// another request). Edits and deletes write with this filter, so a claim
+// taken after the draft was loaded wins and the write matches nothing.
+const editableFilter = (id, userId, now = new Date()) => ({
+  _id: id,
+  userId,
+  status: { $in: UNPUBLISHED_STATUSES },
+  $or: [{ publishLockUntil: null }, { publishLockUntil: { $lt: now } }],
+});
+
+// What applyDraftInput() changes
+const DRAFT_EDIT_PATHS = [
+  'type',
+  'content',
+  'mediaUrl',
+  'poll',
+  'communityId',
+  'scheduledFor',
+  'status',
+  'publishAttempts',
+  'publishError',
+];
+
+/**
+ * Apply body fields to a draft and decide its status.
+ * Returns an error message, or null once `draft` is ready to save.
+ */
+function applyDraftInput(draft, body) {
+  const input = {
+    type: body.type ?? draft.type,
+    content: body.content ?? draft.content,
+    mediaUrl: body.mediaUrl ?? draft.mediaUrl,
+    poll: body.poll ?? draft.poll,
+  };
+
+  let scheduledFor = draft.scheduledFor;
+  if (body.scheduledFor !== undefined) {
+    if (body.scheduledFor === null || body.scheduledFor === '') {
+      scheduledFor = null; // unschedule -> back to draft
+    } else {
+      const { date, error } = parseScheduledFor(body.scheduledFor);
+      if (error) return error;
+      scheduledFor = date;
+    }
+  }
+
+  // Scheduled posts must be publishable as-is; plain drafts can be partial
+  const { error, value } = validateBulletinInput(input, { draft: !scheduledFor });
+  if (error) return error;
+
+  if (body.communityId !== undefined) {
+    if (body.communityId && !mongoose.isValidObjectId(body.communityId)) {
+      return 'Invalid community id.';
+    }
+    draft.communityId = body.communityId || null;
+  }
+
+  draft.type = value.type;
+  draft.content = value.content;
+  draft.mediaUrl = value.mediaUrl;
+  draft.poll = value.poll;
+  draft.scheduledFor = scheduledFor;
+  draft.status = scheduledFor ? 'scheduled' : 'draft';
+  draft.publishAttempts = 0;
+  draft.publishError = null;
+  return null;
+}
+
+// -----------------------------------------------------------------------------
+// Routes
+// -----------------------------------------------------------------------------
+
+// List my drafts and scheduled posts (?status=draft|scheduled)
+router.get('/', requireUser, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !UNPUBLISHED_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'status must be "draft" or "scheduled".' });
+    }
+
+    const drafts = await Bulletin.find({
+      userId: req.userId,
+      status: status || { $in: UNPUBLISHED_STATUSES },
+    })
+      .sort({ createdAt: -1 })
+      .select(DRAFT_FIELDS)
+      .populate('communityId', 'name')
+      .lean();
+
+    res.json(drafts);
+  } catch (err) {
+    console.error('List drafts error:', err);
+    res.status(500).json({ error: 'Failed to fetch drafts.' });
+  }
+});
+
+// Create a draft, or schedule a post with { scheduledFor }
+router.post('/', requireUser, async (req, res) => {
+  try {
+    const draft = new Bulletin({ userId: req.userId, type: req.body.type });
+
+    const error = applyDraftInput(draft, req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await draft.save();
+    res.status(201).json(draft);
+  } catch (err) {
+    console.error('Create draft error:', err);
+    res.status(500).json({ error: 'Failed to save draft.' });
+  }
+});
+
+// Get one of my drafts
+router.get('/:id', requireUser, async (req, res) => {
+  try {
+    const draft = await findOwnDraft(req.params.id, req.userId);
+    if (!draft) {
+      return res.status(404).json({ error: 'Draft not found.' });
+    }
+    res.json(draft);
+  } catch (err) {
+    console.error('Get draft error:', err);
+    res.status(500).json({ error: 'Failed to fetch draft.' });
+  }
+});
+
+// Edit a draft; { scheduledFor: <date> } schedules it, { scheduledFor: null } unschedules
+router.put('/:id', requireUser, async (req, res) => {
+  try {
+    const draft = await findOwnDraft(req.params.id, req.userId);
+    if (!draft) {
+      return res.status(404).json({ error: 'Draft not found.' });
+    }
+
+    const error = applyDraftInput(draft, req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Cleared fields (e.g. poll when it's no longer a poll) are unset
+    const fields = draft.toObject();
+    const update = { $set: {}, $unset: {} };
+    for (const path of DRAFT_EDIT_PATHS) {
+      if (fields[path] === undefined) update.$unset[path] = 1;
+      else update.$set[path] = fields[path];
+    }
+
+    const updated = await Bulletin.findOneAndUpdate(
+      editableFilter(draft._id, req.userId),
+      update,
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      return res.status(409).json({ error: 'This bulletin is being published.' });
+    }
+    res.json(updated);
+  } catch (err) {
+    console.error('Update draft error:', err);
+    res.status(500).json({ error: 'Failed to update draft.' });
+  }
+});
+
+// Publish a draft (or a scheduled post) right now
+router.post('/:id/publish', requireUser, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Draft not found.' });
+    }
+
+    const draft = await claimForPublish({ _id: req.params.id, userId: req.userId });
+    if (!draft) {
+      const exists = await findOwnDraft(req.params.id, req.userId);
+      return exists
+        ? res.status(409).json({ error: 'This bulletin is being published.' })
+        : res.status(404).json({ error: 'Draft not found.' });
+    }
+
+    const { error } = validateBulletinInput(draft);
+    if (error) {
+      await releaseClaim(draft._id);
+      return res.status(400).json({ error });
+    }
+
+    try {
+      await publishBulletin(draft);
+    } catch (publishErr) {
+      await releaseClaim(draft._id);
+      throw publishErr;
+    }
+
+    res.json(draft);
+  } catch (err) {
+    console.error('Publish draft error:', err);
+    res.status(500).json({ error: 'Failed to publish draft.' });
+  }
+});
+
+// Delete a draft
+router.delete('/:id', requireUser, async (req, res) => {
+  try {
+    const draft = await findOwnDraft(req.params.id, req.userId);
+    if (!draft) {
+      return res.status(404).json({ error: 'Draft not found.' });
+    }
+
+    const { deletedCount } = await Bulletin.deleteOne(editableFilter(draft._id, req.userId));
+    if (!deletedCount) {
+      return res.status(409).json({ error: 'This bulletin is being published.' });
+    }
+    res.json({ message: 'Draft deleted.' });
+  } catch (err) {
+    console.error('Delete draft error:', err);
+    res.status(500).json({ error: 'Failed to delete draft.' });
+  }
+});
+
+module.exports = router;
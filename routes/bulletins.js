@@ -10,7 +10,54 @@ const Interaction = require('../models/Interaction');
 
 const Friendship = require('../models/Friendship');
 
-const { getFreeformTagsForBulletin } = require("../utils/aiTagger");
+const { requireUser, optionalUser, requireSelf } = require('../middleware/requireUser');
+const {
+  TIME_SORT,
+  timePage,
+  rankedPage,
+  sendCursorError,
+} = require('../helpers/feedPaging');
+const {
+  getFeedEntries,
+  markStale,
+  dropFeed,
+  invalidateFriendsOf,
+} = require('../helpers/forYouFeed');
+const { INTERACTION_WEIGHTS, adjustInterests } = require('../helpers/interests');
+const { feedSeed, createRng, seededShuffle, mixBuckets } = require('../helpers/feedMixing');
+const { recordView } = require('../helpers/viewCounts');
+const { hotScore } = require('../helpers/ranking');
+const {
+  validateBulletinInput,
+  validateQuoteText,
+  publishBulletin,
+  reviseBulletin,
+} = require('../helpers/bulletinPublishing');
+const { PUBLISHED, isPublished } = require('../helpers/bulletinStatus');
+const {
+  validateCommentText,
+  findComment,
+  createComment,
+  commentPage,
+  toggleCommentLike,
+  editComment,
+  removeComment,
+  deleteCommentsFor,
+} = require('../helpers/comments');
+const { inboxPage, markInboxRead } = require('../helpers/commentInbox');
+const { resolveMentions, notifyMentions } = require('../helpers/mentions');
+const { populateFeed } = require('../helpers/populateFeed');
+const { extractHashtags, applyTags } = require('../helpers/hashtags');
+const {
+  PollError,
+  pollTally,
+  castVote,
+  findVote,
+  deleteVotesFor,
+  emitPollTally,
+} = require('../helpers/polls');
+const requireAuth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
 
 const ObjectId = mongoose.Types.ObjectId;
 
@@ -27,102 +74,77 @@ const MYMIX_SOURCE_LIMIT = 200;
 const TRENDING_WINDOW_DAYS = 4;
 const TRENDING_CANDIDATE_LIMIT = 500;
 
-// Bulletin content limits
-const TEXT_MAX = 1500;
-const CAPTION_MAX = 500;
-
-// Very simple HTML tag detector (allows things like "<3")
-const HTML_TAG_REGEX = /<\/?[a-z][^>]*>/i;
-
 // -----------------------------------------------------------------------------
 // Helpers
 // -----------------------------------------------------------------------------
 
-const getPagination = (req) => {
-  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
-  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50); // cap at 50
-  const skip = (page - 1) * limit;
-  return { page, limit, skip };
-};
-
+// Follow plain reposts back to the post they share. A quote repost is a post
+// in its own right, so likes / reposts of a quote stay on the quote.
 const findOriginalBulletin = async (bulletin) => {
   let current = bulletin;
-  while (current && current.repostOf) {
+  while (current && current.repostOf && !current.isQuote) {
     current = await Bulletin.findById(current.repostOf);
   }
   return current || bulletin;
 };
 
+// The bulletin that actually holds a poll (reposts and quotes of it point back)
+const findPollBulletin = async (bulletin) => {
+  let current = bulletin;
+  while (current && !current.poll && current.repostOf) {
+    current = await Bulletin.findById(current.repostOf);
+  }
+  return current;
+};
+
+// Comments are paged separately (GET /:id/comments); bulletins carry commentCount
 const populateBulletin = async (bulletinId) => {
   return Bulletin.findById(bulletinId)
     .populate('userId', 'username displayName profilePicture')
-    .populate('communityId', 'name')
-    .populate({
-      path: 'comments.user',
-      select: 'username displayName profilePicture',
-    })
-    .populate({
-      path: 'comments.replies.user',
-      select: 'username displayName profilePicture',
-    })
-    .populate({
-      path: 'comments.replies.replies.user',
-      select: 'username displayName profilePicture',
-    })
-    .populate({
-      path: 'comments.replies.replies.replies.user',
-      select: 'username displayName profilePicture',
-    });
+    .populate('communityId', 'name');
 };
 
-const findCommentRecursive = (comments, commentId) => {
-  for (const comment of comments) {
-    if (comment._id.equals(commentId)) {
-      return { target: comment, parentArray: comments };
-    }
-    if (comment.replies && comment.replies.length > 0) {
-      const result = findCommentRecursive(comment.replies, commentId);
-      if (result) return result;
-    }
-  }
-  return null;
+// Is userId the administrator or a moderator of the bulletin's community?
+const isCommunityMod = async (communityId, userId) => {
+  if (!communityId) return false;
+  const Community = require('../models/Community');
+  const community = await Community.findById(communityId).select(
+    'administrator moderators'
+  );
+  if (!community) return false;
+  return (
+    community.administrator?.toString() === userId ||
+    community.moderators.some((id) => id.toString() === userId)
+  );
 };
 
+// ?explain=1 is a staff debugging mode: it needs a Watchtower/Mainframe
+// session with feeds.explain instead of a user session. Routes register an
+// explain variant first; explainOnly skips it for normal requests.
+const isExplain = (req) => req.query.explain === '1' || req.query.explain === 'true';
+const explainOnly = (req, res, next) => next(isExplain(req) ? undefined : 'route');
+const requireExplainer = [explainOnly, requireAuth, requirePermission('feeds.explain')];
+
 // -----------------------------------------------------------------------------
 // AI Personalization Helpers
 // -----------------------------------------------------------------------------
 
-const INTERACTION_WEIGHTS = {
-  like: 3,
-  repost: 4,
-  comment: 4,
-  view: 0.5,
-};
-
+// Runs after the interaction is saved and never throws: a failed interest
+// update is logged, not turned into a failed like / vote / comment.
 async function updateUserInterestTags(userId, bulletinId, interactionType) {
   if (!userId || !bulletinId) return; // guard against bad calls
 
-  const weight = INTERACTION_WEIGHTS[interactionType] || 1;
-
-  const [user, bulletin] = await Promise.all([
-    User.findById(userId),
-    Bulletin.findById(bulletinId).select("tags"),
-  ]);
+  try {
+    const weight = INTERACTION_WEIGHTS[interactionType] ?? 1;
 
-  if (!user || !bulletin || !bulletin.tags?.length) return;
+    const bulletin = await Bulletin.findById(bulletinId).select("tags").lean();
+    if (!bulletin?.tags?.length) return;
 
-  // Ensure we have a Map
-  if (!user.interestTags) {
-    user.interestTags = new Map();
+    await adjustInterests(userId, bulletin.tags, weight);
+    await markStale(userId);
+  } catch (err) {
+    console.error(`Interest update failed (${interactionType}) for user ${userId}:`, err);
   }
-
-  bulletin.tags.forEach((tag) => {
-    const current = user.interestTags.get(tag) || 0;
-    const updated = Math.min(current + weight, 200);
-    user.interestTags.set(tag, updated);
-  });
-
-  await user.save();
 }
 
 // -----------------------------------------------------------------------------
@@ -130,111 +152,27 @@ async function updateUserInterestTags(userId, bulletinId, interactionType) {
 // -----------------------------------------------------------------------------
 
 // Create new bulletin with community approval logic + validation + AI tagging
-router.post('/', async (req, res) => {
+// (drafts and scheduled posts go through routes/bulletinDrafts.js)
+router.post('/', requireUser, async (req, res) => {
   try {
-    const { userId, type, content, mediaUrl, communityId } = req.body;
-
-    if (!userId || !type) {
-      return res.status(400).json({ error: 'userId and type are required.' });
+    const { communityId } = req.body;
+    if (communityId && !mongoose.isValidObjectId(communityId)) {
+      return res.status(400).json({ error: 'Invalid community id.' });
     }
 
-    const allowedTypes = ['text', 'image', 'video'];
-    if (!allowedTypes.includes(type)) {
-      return res.status(400).json({ error: 'Invalid bulletin type.' });
-    }
-
-    // Normalize content
-    const raw = typeof content === 'string' ? content : '';
-    const trimmed = raw.trim();
-
-    // Decide max length based on type
-    const maxLength = type === 'text' ? TEXT_MAX : CAPTION_MAX;
-
-    // TEXT posts: require non-empty content
-    if (type === 'text') {
-      if (!trimmed) {
-        return res.status(400).json({ error: 'Content cannot be empty.' });
-      }
-      if (trimmed.length > maxLength) {
-        return res.status(400).json({
-          error: `Content exceeds maximum length of ${maxLength} characters.`,
-        });
-      }
-      // Block HTML tags in text
-      if (HTML_TAG_REGEX.test(trimmed)) {
-        return res.status(400).json({
-          error: 'HTML is not allowed in bulletins.',
-        });
-      }
+    const { error, value } = validateBulletinInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    // IMAGE / VIDEO posts: caption optional, but must respect length & no HTML
-    if (type === 'image' || type === 'video') {
-      // Must have a media URL for non-text posts
-      if (!mediaUrl || !mediaUrl.trim()) {
-        return res.status(400).json({
-          error: 'Media is required for image/video bulletins.',
-        });
-      }
-
-      if (trimmed.length > maxLength) {
-        return res.status(400).json({
-          error: `Caption exceeds maximum length of ${maxLength} characters.`,
-        });
-      }
-
-      if (trimmed && HTML_TAG_REGEX.test(trimmed)) {
-        return res.status(400).json({
-          error: 'HTML is not allowed in bulletins.',
-        });
-      }
-    }
-
-    // --- Community approval logic ---
-    let approved = true;
-    let communityName = null;
-    let community = null;
-
-    if (communityId) {
-      const Community = require('../models/Community');
-      community = await Community.findById(communityId);
-      if (community?.requireApproval) {
-        approved = false;
-        await Community.findByIdAndUpdate(communityId, {
-          $inc: { pendingBulletins: 1 },
-        });
-      }
-      communityName = community?.name || null;
-    }
-
-    // --- Create bulletin document ---
     const bulletin = new Bulletin({
-      userId,
-      type,
-      content: trimmed, // store trimmed text / caption
-      mediaUrl,
+      ...value,
+      userId: req.userId,
       communityId: communityId || null,
-      approved,
     });
 
-    // --- Let AI decide the tags (non-blocking-ish: if it fails, we still save) ---
-    try {
-      const { tags } = await getFreeformTagsForBulletin({
-        content: trimmed,
-        caption: type === 'text' ? null : trimmed,
-        communityName,
-        imageUrl: type === 'image' ? mediaUrl : null, // 👈 NEW
-      });
-
-      if (Array.isArray(tags) && tags.length > 0) {
-        bulletin.tags = tags;
-      }
-    } catch (tagErr) {
-      console.error('AI tagging failed for bulletin:', tagErr);
-      // don’t throw; we still want the bulletin to be created
-    }
+    await publishBulletin(bulletin);
 
-    await bulletin.save();
     res.status(201).json(bulletin);
   } catch (err) {
     console.error('Create bulletin error:', err);
@@ -243,13 +181,14 @@ router.post('/', async (req, res) => {
 });
 
 // Report bulletin
-router.post('/:id/report', async (req, res) => {
+router.post('/:id/report', requireUser, async (req, res) => {
   try {
-    const { userId, priority } = req.body;
+    const { priority } = req.body;
+    const userId = req.userId;
     const bulletinId = req.params.id;
 
     const bulletin = await Bulletin.findById(bulletinId).populate('userId');
-    if (!bulletin) {
+    if (!bulletin || !isPublished(bulletin)) {
       return res.status(404).json({ error: 'Bulletin not found' });
     }
 
@@ -276,11 +215,11 @@ router.post('/:id/report', async (req, res) => {
 });
 
 // Toggle like on bulletin (always on original)
-router.post('/:id/like', async (req, res) => {
+router.post('/:id/like', requireUser, async (req, res) => {
   try {
-    const { userId } = req.body;
+    const userId = req.userId;
     let bulletin = await Bulletin.findById(req.params.id).populate('userId');
-    if (!bulletin) {
+    if (!bulletin || !isPublished(bulletin)) {
       return res.status(404).json({ error: 'Bulletin not found' });
     }
 
@@ -311,12 +250,12 @@ router.post('/:id/like', async (req, res) => {
         bulletinId: original._id,
         type: 'like',
       });
-
-      await updateUserInterestTags(userId, original._id, "like");
-
     }
 
     await original.save();
+    if (!alreadyLiked) {
+      await updateUserInterestTags(userId, original._id, "like");
+    }
     const updated = await populateBulletin(req.params.id);
     res.json(updated);
   } catch (err) {
@@ -327,15 +266,22 @@ router.post('/:id/like', async (req, res) => {
   }
 });
 
-// Repost bulletin (always from original)
-router.post('/:id/repost', async (req, res) => {
+// Repost bulletin (always from original). With { text } it's a quote repost:
+// the reposter's own commentary alongside the original.
+router.post('/:id/repost', requireUser, async (req, res) => {
   try {
-    const { userId } = req.body;
+    const userId = req.userId;
     let original = await Bulletin.findById(req.params.id).populate('userId');
-    if (!original) {
+    if (!original || !isPublished(original)) {
       return res.status(404).json({ error: 'Original bulletin not found' });
     }
 
+    const { error, text: quoteText } = validateQuoteText(req.body?.text);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const isQuote = !!quoteText;
+
     original = await findOriginalBulletin(original);
 
     const repostBulletin = new Bulletin({
@@ -345,33 +291,63 @@ router.post('/:id/repost', async (req, res) => {
       mediaUrl: original.mediaUrl,
       repostOf: original._id,
       communityId: null,
+      isQuote,
+      quoteText,
+      // Quotes are matched to interests by what they quote
+      tags: isQuote ? original.tags : [],
+      hashtags: isQuote ? original.hashtags : [],
+      aiTags: isQuote ? original.aiTags : [],
+      mentions: isQuote ? await resolveMentions(quoteText, userId) : [],
     });
 
+    // The quoter's own #hashtags join the ones it inherits
+    if (isQuote) {
+      applyTags(repostBulletin, {
+        hashtags: [...new Set([...extractHashtags(quoteText), ...(original.hashtags || [])])],
+        aiTags: null, // keep the original's AI tags
+      });
+    }
+
     await repostBulletin.save();
     original.reposts.push(repostBulletin._id);
     await original.save();
 
-    // notification (not for self-repost)
+    // notification (not for self-repost); quotes link to the quote itself
     if (original.userId._id.toString() !== userId) {
       const newNotification = new Notification({
-        type: 'repost',
+        type: isQuote ? 'quote' : 'repost',
         fromUser: userId,
         toUser: original.userId._id,
-        bulletinId: original._id,
+        bulletinId: isQuote ? repostBulletin._id : original._id,
       });
       await newNotification.save();
     }
 
+    // @mentions in the commentary (the quoted author already got 'quote')
+    await notifyMentions(repostBulletin.mentions, userId, { bulletinId: repostBulletin._id }, [
+      { user: original.userId._id },
+    ]);
+
     // interaction log
+    const interactionType = isQuote ? 'quote' : 'repost';
     await Interaction.create({
       userId,
       bulletinId: original._id,
-      type: 'repost',
+      type: interactionType,
     });
 
-    await updateUserInterestTags(userId, original._id, "repost");
+    await updateUserInterestTags(userId, original._id, interactionType);
+
+    // A quote is new content: friends should see it like any post
+    if (isQuote) {
+      invalidateFriendsOf(userId).catch((e) =>
+        console.error('For You invalidation failed:', e)
+      );
+    }
 
-    const populatedRepost = await populateBulletin(repostBulletin._id);
+    const populatedRepost = isQuote
+      ? await populateFeed(Bulletin.findById(repostBulletin._id))
+      : await populateBulletin(repostBulletin._id);
     res.status(201).json(populatedRepost);
   } catch (err) {
     console.error('Repost error:', err);
@@ -379,31 +355,25 @@ router.post('/:id/repost', async (req, res) => {
   }
 });
 
-// Add top-level comment
-router.post('/:id/comment', async (req, res) => {
+// Add top-level comment -> the new comment (author populated)
+router.post('/:id/comment', requireUser, async (req, res) => {
   try {
-    const { userId, text } = req.body;
-    const bulletin = await Bulletin.findById(req.params.id);
-    if (!bulletin) {
+    const userId = req.userId;
+    if (!mongoose.isValidObjectId(req.params.id)) {
       return res.status(404).json({ error: 'Bulletin not found' });
     }
 
-    bulletin.comments.push({
-      user: userId,
-      text,
-      createdAt: new Date(),
-      likes: [],
-      replies: [],
-      isNewComment: true,
-    });
+    const { error, text } = validateCommentText(req.body?.text);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    if (bulletin.userId.toString() !== userId) {
-      await User.findByIdAndUpdate(bulletin.userId, {
-        $inc: { 'dashboardData.newComments': 1 },
-      });
+    const bulletin = await Bulletin.findById(req.params.id).select('_id userId status');
+    if (!bulletin || !isPublished(bulletin)) {
+      return res.status(404).json({ error: 'Bulletin not found' });
     }
 
-    await bulletin.save();
+    const comment = await createComment({ bulletin, userId, text });
 
     await Interaction.create({
       userId,
@@ -413,84 +383,85 @@ router.post('/:id/comment', async (req, res) => {
 
     await updateUserInterestTags(userId, bulletin._id, "comment");
 
-    const updatedBulletin = await populateBulletin(req.params.id);
-    res.json(updatedBulletin);
+    res.status(201).json(comment);
   } catch (err) {
     console.error('Add comment error:', err);
     res.status(500).json({ error: 'Failed to add comment.' });
   }
 });
 
-// Reply to comment (any depth)
-router.post('/:bulletinId/comments/:commentId/reply', async (req, res) => {
+// Reply to comment (any depth) -> the new reply
+router.post('/:bulletinId/comments/:commentId/reply', requireUser, async (req, res) => {
   try {
     const { bulletinId, commentId } = req.params;
-    const { userId, text } = req.body;
-
-    const bulletin = await Bulletin.findById(bulletinId);
-    if (!bulletin) {
+    const userId = req.userId;
+    if (!mongoose.isValidObjectId(bulletinId)) {
       return res.status(404).json({ error: 'Bulletin not found' });
     }
 
-    const found = findCommentRecursive(bulletin.comments, commentId);
-    if (!found || !found.target) {
-      return res.status(404).json({ error: 'Comment not found' });
+    const { error, text } = validateCommentText(req.body?.text);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    const target = found.target;
-    if (!target.replies) target.replies = [];
-
-    target.replies.push({
-      user: userId,
-      text,
-      createdAt: new Date(),
-      likes: [],
-      replies: [],
-      isNewComment: true,
-    });
-
-    bulletin.markModified('comments');
-    await bulletin.save();
+    const bulletin = await Bulletin.findById(bulletinId).select('_id userId status');
+    if (!bulletin || !isPublished(bulletin)) {
+      return res.status(404).json({ error: 'Bulletin not found' });
+    }
 
-    if (target.user && target.user.toString() !== userId) {
-      await User.findByIdAndUpdate(target.user, {
-        $inc: { 'dashboardData.newComments': 1 },
-      });
+    const target = await findComment(bulletin._id, commentId);
+    if (!target || target.deletedAt) {
+      return res.status(404).json({ error: 'Comment not found' });
     }
 
-    const updatedBulletin = await populateBulletin(bulletinId);
-    res.json(updatedBulletin);
+    const reply = await createComment({ bulletin, userId, text, parent: target });
+
+    res.status(201).json(reply);
   } catch (err) {
     console.error('Reply error:', err);
     res.status(500).json({ error: 'Failed to add reply.' });
   }
 });
 
-// Mark all comments as read for a user
-router.post('/comments/mark-all-read/:userId', async (req, res) => {
+// Toggle like on a comment -> { liked, likeCount }
+router.post('/:bulletinId/comments/:commentId/like', requireUser, async (req, res) => {
   try {
-    const userId = req.params.userId;
-    const bulletins = await Bulletin.find({ userId });
-
-    const clearIsNew = (comments) => {
-      for (const comment of comments) {
-        if (comment.isNewComment) comment.isNewComment = false;
-        if (comment.replies && comment.replies.length > 0) {
-          clearIsNew(comment.replies);
-        }
-      }
-    };
+    const { bulletinId, commentId } = req.params;
+    const userId = req.userId;
+    if (!mongoose.isValidObjectId(bulletinId)) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
 
-    for (const b of bulletins) {
-      clearIsNew(b.comments);
-      b.markModified('comments');
-      await b.save();
+    const comment = await findComment(bulletinId, commentId);
+    if (!comment || comment.deletedAt) {
+      return res.status(404).json({ error: 'Comment not found' });
     }
 
-    await User.findByIdAndUpdate(userId, {
-      'dashboardData.newComments': 0,
-    });
+    const result = await toggleCommentLike(comment._id, userId);
+    if (!result) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
 
+    // notification (not for self-like, not again for re-likes)
+    if (result.liked && comment.user.toString() !== userId) {
+      await Notification.updateOne(
+        { type: 'comment_like', fromUser: userId, toUser: comment.user, commentId: comment._id },
+        { $setOnInsert: { bulletinId: comment.bulletinId, isRead: false } },
+        { upsert: true }
+      );
+    }
+
+    res.json(result);
+  } catch (err) {
+    console.error('Comment like error:', err);
+    res.status(500).json({ error: 'Failed to toggle comment like.' });
+  }
+});
+
+// Mark all comments as read for a user (one write: moves the read marker)
+router.post('/comments/mark-all-read/:userId', requireUser, requireSelf('userId'), async (req, res) => {
+  try {
+    await markInboxRead(req.params.userId);
     res.json({ message: 'All comments marked as read' });
   } catch (err) {
     console.error('Mark-all-read error:', err);
@@ -499,30 +470,124 @@ router.post('/comments/mark-all-read/:userId', async (req, res) => {
 });
 
 // Log bulletin view
-router.post('/:id/view', async (req, res) => {
+router.post('/:id/view', requireUser, async (req, res) => {
   try {
-    const { userId } = req.body;
+    const userId = req.userId;
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid bulletin id.' });
+    }
+
+    // Drafts and scheduled posts aren't viewable, so they don't collect views
+    if (!(await Bulletin.exists({ _id: req.params.id, ...PUBLISHED }))) {
+      return res.status(404).json({ error: 'Bulletin not found' });
+    }
+
     await Interaction.create({
       userId,
       bulletinId: req.params.id,
       type: 'view',
     });
 
-    await updateUserInterestTags(userId, req.params.id, "view");
+    // Repeat views inside the window don't count, or nudge interests again
+    const { counted } = await recordView(req.params.id, userId);
+    if (counted) {
+      await updateUserInterestTags(userId, req.params.id, "view");
+    }
 
-    res.json({ message: 'View logged' });
+    res.json({ message: 'View logged', counted });
   } catch (err) {
     console.error('Log view error:', err);
     res.status(500).json({ error: 'Failed to log view.' });
   }
 });
 
+// Vote in a poll: { optionId }. One vote per user; the new tally is pushed
+// to everyone watching the poll over Socket.IO.
+router.post('/:id/vote', requireUser, async (req, res) => {
+  try {
+    const userId = req.userId;
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Bulletin not found' });
+    }
+
+    const bulletin = await Bulletin.findById(req.params.id);
+    if (!bulletin || !isPublished(bulletin)) {
+      return res.status(404).json({ error: 'Bulletin not found' });
+    }
+
+    // Votes on a repost (or quote) of a poll count on the poll
+    const poll = (await findPollBulletin(bulletin)) || bulletin;
+    const tally = await castVote(poll, userId, req.body?.optionId);
+
+    await Interaction.create({
+      userId,
+      bulletinId: poll._id,
+      type: 'vote',
+    });
+
+    await updateUserInterestTags(userId, poll._id, 'vote');
+
+    emitPollTally(req.app.get('io'), tally);
+
+    res.json(tally);
+  } catch (err) {
+    if (err instanceof PollError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Poll vote error:', err);
+    res.status(500).json({ error: 'Failed to record vote.' });
+  }
+});
+
+// Hide a bulletin from For You ("hide"), or also demote its tags ("show-less")
+const HIDDEN_BULLETINS_MAX = 500;
+const HIDE_REASONS = { hide: 'hide', 'show-less': 'show_less' };
+
+router.post('/:id/hide', requireUser, async (req, res) => {
+  try {
+    const userId = req.userId;
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid bulletin id.' });
+    }
+
+    const type = HIDE_REASONS[req.body?.reason || 'hide'];
+    if (!type) {
+      return res.status(400).json({ error: 'reason must be "hide" or "show-less".' });
+    }
+
+    const bulletin = await Bulletin.findById(req.params.id).select('_id repostOf');
+    if (!bulletin) {
+      return res.status(404).json({ error: 'Bulletin not found' });
+    }
+    // Reposts are hidden along with the post they point at
+    const originalId = bulletin.repostOf || bulletin._id;
+    const ids = bulletin.repostOf ? [bulletin._id, bulletin.repostOf] : [bulletin._id];
+
+    await User.updateOne({ _id: userId }, { $pull: { hiddenBulletins: { $in: ids } } });
+    await User.updateOne(
+      { _id: userId },
+      { $push: { hiddenBulletins: { $each: ids, $slice: -HIDDEN_BULLETINS_MAX } } }
+    );
+
+    await Interaction.create({ userId, bulletinId: originalId, type });
+    await updateUserInterestTags(userId, originalId, type);
+
+    // Don't wait out the rebuild debounce: the post should be gone on next load
+    await dropFeed(userId);
+
+    res.json({ message: 'Bulletin hidden', reason: req.body?.reason || 'hide' });
+  } catch (err) {
+    console.error('Hide bulletin error:', err);
+    res.status(500).json({ error: 'Failed to hide bulletin.' });
+  }
+});
+
 // -----------------------------------------------------------------------------
 // DELETE routes
 // -----------------------------------------------------------------------------
 
 // Delete bulletin and all reposts recursively
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireUser, async (req, res) => {
   try {
     const bulletinId = req.params.id;
     const original = await Bulletin.findById(bulletinId);
@@ -530,16 +595,29 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Bulletin not found' });
     }
 
+    // Author, or a mod of the community it was posted in
+    const canDelete =
+      original.userId.toString() === req.userId ||
+      (await isCommunityMod(original.communityId, req.userId));
+    if (!canDelete) {
+      return res.status(403).json({ error: 'Not allowed to delete this bulletin.' });
+    }
+
+    // Quotes belong to whoever wrote them: they stay, showing the original as gone
+    const deletedIds = [original._id];
     async function deleteRepostsRecursive(bulletin) {
-      const reposts = await Bulletin.find({ repostOf: bulletin._id });
+      const reposts = await Bulletin.find({ repostOf: bulletin._id, isQuote: { $ne: true } });
       for (const repost of reposts) {
         await deleteRepostsRecursive(repost);
         await Bulletin.findByIdAndDelete(repost._id);
+        deletedIds.push(repost._id);
       }
     }
 
     await deleteRepostsRecursive(original);
     await Bulletin.findByIdAndDelete(bulletinId);
+    await deleteCommentsFor(deletedIds);
+    await deleteVotesFor(deletedIds);
 
     res.json({ message: 'Bulletin and all reposts deleted successfully.' });
   } catch (err) {
@@ -548,12 +626,150 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// Delete a comment: its author, the bulletin's author or a community mod.
+// Comments with replies stay as tombstones so the thread underneath survives.
+router.delete('/:bulletinId/comments/:commentId', requireUser, async (req, res) => {
+  try {
+    const { bulletinId, commentId } = req.params;
+    const userId = req.userId;
+    if (!mongoose.isValidObjectId(bulletinId)) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const comment = await findComment(bulletinId, commentId);
+    if (!comment || comment.deletedAt) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    let deletedBy = null;
+    if (comment.user.toString() === userId) {
+      deletedBy = 'author';
+    } else if (comment.bulletinOwner?.toString() === userId) {
+      deletedBy = 'owner';
+    } else {
+      const bulletin = await Bulletin.findById(bulletinId).select('communityId').lean();
+      if (bulletin && (await isCommunityMod(bulletin.communityId, userId))) {
+        deletedBy = 'moderator';
+      }
+    }
+    if (!deletedBy) {
+      return res.status(403).json({ error: 'Not allowed to delete this comment.' });
+    }
+
+    const removed = await removeComment(comment, deletedBy);
+    if (!removed) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    const { tombstoned } = removed;
+    res.json({ message: 'Comment deleted.', tombstoned });
+  } catch (err) {
+    console.error('Delete comment error:', err);
+    res.status(500).json({ error: 'Failed to delete comment.' });
+  }
+});
+
+// Undo a hide (tag demotions stay and decay like any other signal)
+router.delete('/:id/hide', requireUser, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid bulletin id.' });
+    }
+
+    const bulletin = await Bulletin.findById(req.params.id).select('_id repostOf').lean();
+    const ids = [req.params.id, bulletin?.repostOf].filter(Boolean).map((id) => new ObjectId(id));
+
+    await User.updateOne({ _id: req.userId }, { $pull: { hiddenBulletins: { $in: ids } } });
+    await dropFeed(req.userId);
+
+    res.json({ message: 'Bulletin unhidden' });
+  } catch (err) {
+    console.error('Unhide bulletin error:', err);
+    res.status(500).json({ error: 'Failed to unhide bulletin.' });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// PATCH routes
+// -----------------------------------------------------------------------------
+
+// Edit own bulletin (content / caption / media). Same validation as creating;
+// the previous version is kept as a revision and the post is re-tagged.
+router.patch('/:id', requireUser, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Bulletin not found' });
+    }
+
+    const bulletin = await Bulletin.findById(req.params.id);
+    if (!bulletin || !isPublished(bulletin)) {
+      return res.status(404).json({ error: 'Bulletin not found' });
+    }
+    if (bulletin.userId.toString() !== req.userId) {
+      return res.status(403).json({ error: 'Only the author can edit this bulletin.' });
+    }
+    if (bulletin.repostOf || bulletin.type === 'ama') {
+      return res.status(400).json({ error: 'Reposts and AMA answers cannot be edited.' });
+    }
+
+    const { content, mediaUrl } = req.body;
+    const { error, value } = validateBulletinInput({
+      type: bulletin.type,
+      content: content ?? bulletin.content,
+      mediaUrl: mediaUrl ?? bulletin.mediaUrl,
+      poll: bulletin.poll, // options are fixed once people can vote
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await reviseBulletin(bulletin, value);
+
+    const updated = await populateBulletin(bulletin._id);
+    res.json(updated);
+  } catch (err) {
+    console.error('Edit bulletin error:', err);
+    res.status(500).json({ error: 'Failed to edit bulletin.' });
+  }
+});
+
+// Edit own comment -> the updated comment (editedAt marks it as edited)
+router.patch('/:bulletinId/comments/:commentId', requireUser, async (req, res) => {
+  try {
+    const { bulletinId, commentId } = req.params;
+    if (!mongoose.isValidObjectId(bulletinId)) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const { error, text } = validateCommentText(req.body?.text);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const comment = await findComment(bulletinId, commentId);
+    if (!comment || comment.deletedAt) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    if (comment.user.toString() !== req.userId) {
+      return res.status(403).json({ error: 'Only the author can edit this comment.' });
+    }
+
+    const updated = await editComment(comment, text);
+    if (!updated) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    res.json(updated);
+  } catch (err) {
+    console.error('Edit comment error:', err);
+    res.status(500).json({ error: 'Failed to edit comment.' });
+  }
+});
+
 // -----------------------------------------------------------------------------
 // PUT routes
 // -----------------------------------------------------------------------------
 
 // Approve a bulletin (for communities that require approval)
-router.put('/:id/approve', async (req, res) => {
+router.put('/:id/approve', requireUser, async (req, res) => {
   try {
     const { id } = req.params;
     const bulletin = await Bulletin.findById(id);
@@ -561,6 +777,10 @@ router.put('/:id/approve', async (req, res) => {
       return res.status(404).json({ error: 'Bulletin not found.' });
     }
 
+    if (!(await isCommunityMod(bulletin.communityId, req.userId))) {
+      return res.status(403).json({ error: 'Only community moderators can approve bulletins.' });
+    }
+
     bulletin.approved = true;
 
     if (bulletin.communityId) {
@@ -572,6 +792,10 @@ router.put('/:id/approve', async (req, res) => {
 
     await bulletin.save();
 
+    invalidateFriendsOf(bulletin.userId).catch((e) =>
+      console.error('For You invalidation failed:', e)
+    );
+
     res.json({ message: 'Bulletin approved.' });
   } catch (err) {
     console.error('Approve bulletin error:', err);
@@ -583,176 +807,82 @@ router.put('/:id/approve', async (req, res) => {
 // GET routes – specific first
 // -----------------------------------------------------------------------------
 
-// Get bulletins for user (optional friends filter + pagination)
+// Get bulletins for user (optional friends filter, cursor-paged)
+// ?cursor=<nextCursor from the previous page>&limit=10
 router.get('/user/:userId', async (req, res) => {
   try {
     const { filter } = req.query;
     const { userId } = req.params;
-    const { page, limit, skip } = getPagination(req);
 
-    const user = await User.findById(userId);
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const user = await User.exists({ _id: userId });
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    const Friendship = require('../models/Friendship');
-
-    const friendships = await Friendship.find({
-      $or: [
-        { requester: userId, status: 'accepted' },
-        { recipient: userId, status: 'accepted' },
-      ],
-    });
-
-    const friendIds = friendships.map((f) =>
-      f.requester.toString() === userId ? f.recipient : f.requester
-    );
-    const friendObjectIds = friendIds.map((id) => new ObjectId(id));
     const userObjectId = new ObjectId(userId);
-
     let query;
+
     if (filter === 'friends') {
+      const friendships = await Friendship.find({
+        $or: [
+          { requester: userId, status: 'accepted' },
+          { recipient: userId, status: 'accepted' },
+        ],
+      }).lean();
+
+      const friendObjectIds = friendships.map((f) =>
+        f.requester.toString() === userId ? f.recipient : f.requester
+      );
+
       query = {
         userId: { $in: [...friendObjectIds, userObjectId] },
         communityId: null,
+        ...PUBLISHED,
       };
     } else {
-      query = { userId: userId, communityId: null };
-    }
-
-    const [bulletins, total] = await Promise.all([
-      Bulletin.find(query)
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit)
-        .populate('userId', 'username displayName profilePicture')
-        .populate('reposts')
-        .populate('repostedBy', 'username displayName profilePicture')
-        .populate('communityId', 'name')
-        .populate('amaQuestionUser', 'username displayName profilePicture')
-        .populate('amaAnswerUser', 'username displayName profilePicture')
-        .populate({
-          path: 'repostOf',
-          populate: [
-            {
-              path: 'userId',
-              select: 'username displayName profilePicture',
-            },
-            { path: 'communityId', select: 'name' },
-            {
-              path: 'comments.user',
-              select: 'username displayName profilePicture',
-            },
-            {
-              path: 'comments.replies.user',
-              select: 'username displayName profilePicture',
-            },
-            {
-              path: 'comments.replies.replies.user',
-              select: 'username displayName profilePicture',
-            },
-            {
-              path: 'amaQuestionUser',
-              select: 'username displayName profilePicture',
-            },
-            {
-              path: 'amaAnswerUser',
-              select: 'username displayName profilePicture',
-            },
-          ],
-        })
-        .populate({
-          path: 'comments.user',
-          select: 'username displayName profilePicture',
-        })
-        .populate({
-          path: 'comments.replies.user',
-          select: 'username displayName profilePicture',
-        })
-        .populate({
-          path: 'comments.replies.replies.user',
-          select: 'username displayName profilePicture',
-        }),
+      query = { userId: userObjectId, communityId: null, ...PUBLISHED };
+    }
+
+    const [page, total] = await Promise.all([
+      timePage(query, req, (filterQuery, limit) =>
+        populateFeed(Bulletin.find(filterQuery).sort(TIME_SORT).limit(limit))
+      ),
       Bulletin.countDocuments(query),
     ]);
 
-    const hasMore = skip + bulletins.length < total;
-
-    res.json({
-      items: bulletins,
-      page,
-      limit,
-      total,
-      hasMore,
-    });
+    res.json({ ...page, total });
   } catch (err) {
+    if (sendCursorError(res, err)) return;
     console.error('Get user bulletins error:', err);
     res.status(500).json({ error: 'Failed to fetch bulletins.' });
   }
 });
 
-// Get bulletins for a community (only approved originals)
+// Get bulletins for a community (only approved originals, cursor-paged)
 router.get('/community/:communityId', async (req, res) => {
   try {
     const { communityId } = req.params;
+    if (!mongoose.isValidObjectId(communityId)) {
+      return res.status(400).json({ error: 'Invalid community id.' });
+    }
 
-    const bulletins = await Bulletin.find({
-      communityId,
+    const query = {
+      communityId: new ObjectId(communityId),
       repostOf: null,
       approved: true,
-    })
-      .sort({ createdAt: -1 })
-      .populate('userId', 'username displayName profilePicture')
-      .populate('reposts')
-      .populate('repostedBy', 'username displayName profilePicture')
-      .populate('communityId', 'name')
-      .populate('amaQuestionUser', 'username displayName profilePicture')
-      .populate('amaAnswerUser', 'username displayName profilePicture')
-      .populate({
-        path: 'repostOf',
-        populate: [
-          {
-            path: 'userId',
-            select: 'username displayName profilePicture',
-          },
-          { path: 'communityId', select: 'name' },
-          {
-            path: 'comments.user',
-            select: 'username displayName profilePicture',
-          },
-          {
-            path: 'comments.replies.user',
-            select: 'username displayName profilePicture',
-          },
-          {
-            path: 'comments.replies.replies.user',
-            select: 'username displayName profilePicture',
-          },
-          {
-            path: 'amaQuestionUser',
-            select: 'username displayName profilePicture',
-          },
-          {
-            path: 'amaAnswerUser',
-            select: 'username displayName profilePicture',
-          },
-        ],
-      })
-      .populate({
-        path: 'comments.user',
-        select: 'username displayName profilePicture',
-      })
-      .populate({
-        path: 'comments.replies.user',
-        select: 'username displayName profilePicture',
-      })
-      .populate({
-        path: 'comments.replies.replies.user',
-        select: 'username displayName profilePicture',
-      });
+      ...PUBLISHED,
+    };
 
-    res.json(bulletins);
+    const page = await timePage(query, req, (filterQuery, limit) =>
+      populateFeed(Bulletin.find(filterQuery).sort(TIME_SORT).limit(limit))
+    );
+
+    res.json(page);
   } catch (err) {
+    if (sendCursorError(res, err)) return;
     console.error('Get community bulletins error:', err);
     res.status(500).json({ error: 'Failed to fetch community bulletins.' });
   }
@@ -762,7 +892,7 @@ router.get('/community/:communityId', async (req, res) => {
 router.get('/community/:communityId/count', async (req, res) => {
   try {
     const { communityId } = req.params;
-    const count = await Bulletin.countDocuments({ communityId });
+    const count = await Bulletin.countDocuments({ communityId, ...PUBLISHED });
     res.json({ count });
   } catch (err) {
     console.error('Count community bulletins error:', err);
@@ -788,416 +918,211 @@ router.get('/unapproved/:communityId', async (req, res) => {
   }
 });
 
-// Personalized "For You" feed – mix of interest posts, friend posts, and trending
-router.get("/for-you/:userId", async (req, res) => {
+// Personalized "For You" feed – mix of interest posts, friend posts, and trending.
+// Reads the materialized feed (helpers/forYouFeed.js), mixes its buckets with
+// the session's seed, and cursor-pages over a snapshot of that order.
+async function sendForYou(req, res) {
   try {
     const { userId } = req.params;
-
-    const user = await User.findById(userId).lean();
-    if (!user) {
+    if (!mongoose.isValidObjectId(userId)) {
       return res.status(404).json({ error: "User not found" });
     }
 
-    const now = Date.now();
-
-    // Windows
-    const INTEREST_WINDOW_DAYS = 21; // ~3 weeks
-    const FRIEND_WINDOW_DAYS = 4;    // super fresh friend posts
-    const TRENDING_WINDOW_DAYS_LOCAL = 21;
-
-    const interestSince = new Date(now - INTEREST_WINDOW_DAYS * 24 * 60 * 60 * 1000);
-    const friendSince = new Date(now - FRIEND_WINDOW_DAYS * 24 * 60 * 60 * 1000);
-    const trendingSince = new Date(now - TRENDING_WINDOW_DAYS_LOCAL * 24 * 60 * 60 * 1000);
-
-    // -----------------------------------------------------------------------
-    // 1) Build tag map / interest-based posts
-    // -----------------------------------------------------------------------
-    const tagMap = user.interestTags || {};
-    const entries = Array.from(
-      tagMap instanceof Map ? tagMap.entries() : Object.entries(tagMap)
-    );
-
-    let interestPosts = [];
-
-    if (entries.length) {
-      // top 15 tags
-      entries.sort((a, b) => b[1] - a[1]);
-      const topTags = entries.slice(0, 15).map(([tag]) => tag);
-
-      const interestCandidates = await Bulletin.find({
-        createdAt: { $gte: interestSince },
-        tags: { $in: topTags },
-      })
-        .populate("userId", "username displayName profilePicture")
-        .lean();
-
-      interestPosts = interestCandidates.map((b) => {
-        const ageHours =
-          (now - new Date(b.createdAt).getTime()) / (1000 * 60 * 60);
-
-        const notes = (b.likes?.length || 0) + (b.reposts?.length || 0);
-
-        let tagScore = 0;
-        (b.tags || []).forEach((tag) => {
-          const val =
-            tagMap instanceof Map ? tagMap.get(tag) : tagMap[tag];
-          if (val) tagScore += val;
-        });
-
-        let score = 0;
-        score += tagScore;                   // personalization
-        score += Math.max(0, 15 - ageHours); // recency
-        score += Math.log1p(notes);          // popularity
-
-        return { ...b, _score: score };
-      });
-
-      interestPosts.sort((a, b) => b._score - a._score);
-    }
-
-    // -----------------------------------------------------------------------
-    // 2) Friend posts (very recent)
-    // -----------------------------------------------------------------------
-    const friendships = await Friendship.find({
-      $or: [
-        { requester: userId, status: "accepted" },
-        { recipient: userId, status: "accepted" },
-      ],
-    }).lean();
-
-    const friendIds = friendships.map((f) =>
-      f.requester.toString() === userId ? f.recipient : f.requester
-    );
-
-    const friendObjectIds = friendIds.map((id) => new mongoose.Types.ObjectId(id));
-    const userObjectId = new mongoose.Types.ObjectId(userId);
-
-    let friendPosts = [];
-
-    if (friendObjectIds.length) {
-      const friendCandidates = await Bulletin.find({
-        createdAt: { $gte: friendSince },
-        userId: { $in: [...friendObjectIds, userObjectId] },
-      })
-        .populate("userId", "username displayName profilePicture")
-        .lean();
-
-      friendPosts = friendCandidates.map((b) => {
-        const ageHours =
-          (now - new Date(b.createdAt).getTime()) / (1000 * 60 * 60);
-        const notes = (b.likes?.length || 0) + (b.reposts?.length || 0) + (b.comments?.length || 0);
-
-        let score = 0;
-        score += Math.max(0, 24 - ageHours); // very recency-weighted
-        score += Math.log1p(notes);          // engagement at least a bit
-
-        return { ...b, _score: score };
-      });
-
-      friendPosts.sort((a, b) => b._score - a._score);
-    }
-
-    // -----------------------------------------------------------------------
-    // 3) Trending posts (sitewide, last 3 weeks, original posts)
-    // -----------------------------------------------------------------------
-    const trendingCandidates = await Bulletin.find({
-      repostOf: null,
-      createdAt: { $gte: trendingSince },
-    })
-      .populate("userId", "username displayName profilePicture")
-      .lean();
-
-    let trendingPosts = trendingCandidates.map((b) => {
-      const likes = b.likes?.length || 0;
-      const reposts = b.reposts?.length || 0;
-      const comments = b.comments?.length || 0;
-      const views = 0; // not tracked yet
-
-      const rawScore = likes * 3 + reposts * 2 + comments * 2 + views;
-      const hoursSinceCreated =
-        Math.abs(now - new Date(b.createdAt).getTime()) / 36e5;
-      const decayFactor = 1.2;
-
-      const score = rawScore / Math.pow(hoursSinceCreated + 2, decayFactor);
-      return { ...b, _score: score };
+    const explain = isExplain(req);
+    const seed = feedSeed(req, `for-you:${userId}`);
+
+    const page = await rankedPage(req, {
+      kind: "for-you",
+      ownerId: userId,
+      explain,
+      buildRanking: async () => {
+        const entries = await getFeedEntries(userId);
+        return mixBuckets(entries, createRng(seed)).map((e) => ({
+          id: e.id,
+          explain: { bucket: e.bucket, score: e.score, components: e.components },
+        }));
+      },
+      loadItems: (ids) =>
+        Bulletin.find({ _id: { $in: ids } })
+          .populate("userId", "username displayName profilePicture")
+          .populate({
+            path: "repostOf",
+            select: "userId type content mediaUrl createdAt isQuote quoteText",
+            populate: { path: "userId", select: "username displayName profilePicture" },
+          })
+          .populate("repostedBy", "username displayName profilePicture")
+          .lean(),
     });
 
-    trendingPosts.sort((a, b) => b._score - a._score);
-
-    // -----------------------------------------------------------------------
-    // 4) Deduplicate IDs across buckets
-    // -----------------------------------------------------------------------
-    const seen = new Set();
-
-    const dedupe = (arr) => {
-      const out = [];
-      for (const item of arr) {
-        const id = item._id.toString();
-        if (!seen.has(id)) {
-          seen.add(id);
-          out.push(item);
-        }
-      }
-      return out;
-    };
-
-    interestPosts = dedupe(interestPosts);
-    friendPosts = dedupe(friendPosts);
-    trendingPosts = dedupe(trendingPosts);
-
-    // -----------------------------------------------------------------------
-    // 5) Choose counts from each bucket, then shuffle them together
-    // -----------------------------------------------------------------------
-    const MAX_TOTAL = 50;
+    res.json(explain ? { ...page, seed } : page);
+  } catch (err) {
+    if (sendCursorError(res, err)) return;
+    console.error("Error in /for-you:", err);
+    res.status(500).json({ error: "Failed to fetch personalized feed" });
+  }
+}
 
-    const targetInterest = Math.floor(MAX_TOTAL * 0.5); // ~50%
-    const targetFriends = Math.floor(MAX_TOTAL * 0.3);  // ~30%
-    const targetTrending = MAX_TOTAL - targetInterest - targetFriends; // ~20%
+router.get("/for-you/:userId", ...requireExplainer, sendForYou);
+router.get("/for-you/:userId", requireUser, requireSelf("userId"), sendForYou);
+
+// Rank the trending window -> [{ id, explain }] (page 1 snapshot).
+// Posts over the threshold are mixed with the request's seeded rng.
+async function buildTrendingRanking(rng) {
+  const windowStart = new Date();
+  windowStart.setDate(windowStart.getDate() - TRENDING_WINDOW_DAYS);
+
+  // Only original bulletins (quotes count) in the recent window, cap candidates
+  const bulletins = await Bulletin.find({
+    $or: [{ repostOf: null }, { isQuote: true }],
+    createdAt: { $gte: windowStart },
+    ...PUBLISHED,
+  })
+    .sort(TIME_SORT)
+    .limit(TRENDING_CANDIDATE_LIMIT)
+    .select('_id likes reposts commentCount viewCount createdAt')
+    .lean();
+
+  const now = Date.now();
+  const thresholdScore = 5;
+
+  const scoredBulletins = bulletins.map((b) => {
+    const { score, engagement, recency } = hotScore(b, now);
+
+    return {
+      id: b._id,
+      explain: {
+        bucket: 'trending',
+        score,
+        components: { tagAffinity: 0, recency, engagement },
+      },
+    };
+  });
 
-    const chosenInterest = interestPosts.slice(0, targetInterest);
-    const remainingAfterInterest = MAX_TOTAL - chosenInterest.length;
+  const filtered = scoredBulletins.filter(
+    (entry) => entry.explain.score >= thresholdScore
+  );
 
-    const chosenFriends = friendPosts.slice(
-      0,
-      Math.min(targetFriends, remainingAfterInterest)
-    );
-    const remainingAfterFriends =
-      MAX_TOTAL - chosenInterest.length - chosenFriends.length;
+  return seededShuffle(filtered, rng);
+}
 
-    const chosenTrending = trendingPosts.slice(
-      0,
-      Math.min(targetTrending, remainingAfterFriends)
-    );
+// Trending bulletins (originals, thresholded, seeded mix, cursor-paged)
+async function sendTrending(req, res) {
+  try {
+    const explain = isExplain(req);
+    const seed = feedSeed(req, 'trending');
+
+    const page = await rankedPage(req, {
+      kind: 'trending',
+      explain,
+      buildRanking: () => buildTrendingRanking(createRng(seed)),
+      loadItems: (ids) => populateFeed(Bulletin.find({ _id: { $in: ids } })),
+    });
 
-    let combined = [
-      ...chosenInterest,
-      ...chosenFriends,
-      ...chosenTrending,
-    ];
+    res.json(explain ? { ...page, seed } : page);
+  } catch (err) {
+    if (sendCursorError(res, err)) return;
+    console.error('Failed to fetch trending bulletins:', err);
+    res.status(500).json({ error: 'Failed to fetch trending bulletins' });
+  }
+}
 
-    // If user has no interest tags at all, or buckets are super small,
-    // fall back to just "recent everything" so feed isn't empty.
-    if (!combined.length) {
-      const fallback = await Bulletin.find()
-        .sort({ createdAt: -1 })
-        .limit(MAX_TOTAL)
-        .populate("userId", "username displayName profilePicture")
-        .lean();
+router.get('/trending', ...requireExplainer, sendTrending);
+router.get('/trending', optionalUser, sendTrending);
 
-      return res.json(fallback);
+// Current poll tally (+ the signed-in user's vote, if any)
+router.get('/:id/poll', optionalUser, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Poll not found' });
     }
 
-    // Fisher–Yates shuffle so they are mixed, not in big blocks
-    for (let i = combined.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [combined[i], combined[j]] = [combined[j], combined[i]];
+    const bulletin = await Bulletin.findById(req.params.id).select('type poll status repostOf');
+    const poll = bulletin && isPublished(bulletin) ? await findPollBulletin(bulletin) : null;
+    if (!poll || poll.type !== 'poll' || !poll.poll) {
+      return res.status(404).json({ error: 'Poll not found' });
     }
 
-    // Strip the helper score field before sending
-    combined = combined.map(({ _score, ...rest }) => rest);
-
-    res.json(combined);
+    const myVote = await findVote(poll._id, req.userId);
+    res.json(pollTally(poll, myVote));
   } catch (err) {
-    console.error("Error in /for-you:", err);
-    res.status(500).json({ error: "Failed to fetch personalized feed" });
+    console.error('Get poll error:', err);
+    res.status(500).json({ error: 'Failed to fetch poll.' });
   }
 });
 
-// Trending bulletins (originals, thresholded, shuffled, paginated)
-router.get('/trending', async (req, res) => {
+// Comments on a bulletin: top level, oldest first, cursor-paged.
+// Each carries replyCount; expand with /:id/comments/:commentId/replies.
+router.get('/:id/comments', optionalUser, async (req, res) => {
   try {
-    const { page, limit, skip } = getPagination(req);
-
-    const windowStart = new Date();
-    windowStart.setDate(windowStart.getDate() - TRENDING_WINDOW_DAYS);
-
-    // Only original bulletins in the recent window, cap candidates
-    const bulletins = await Bulletin.find({
-      repostOf: null,
-      createdAt: { $gte: windowStart },
-    })
-      .sort({ createdAt: -1 })
-      .limit(TRENDING_CANDIDATE_LIMIT)
-      .populate('userId', 'username displayName profilePicture')
-      .populate('reposts')
-      .populate('repostedBy', 'username displayName profilePicture')
-      .populate('communityId', 'name')
-      .populate('amaQuestionUser', 'username displayName profilePicture')
-      .populate('amaAnswerUser', 'username displayName profilePicture')
-      .populate({
-        path: 'repostOf',
-        populate: [
-          {
-            path: 'userId',
-            select: 'username displayName profilePicture',
-          },
-          { path: 'communityId', select: 'name' },
-          {
-            path: 'comments.user',
-            select: 'username displayName profilePicture',
-          },
-          {
-            path: 'comments.replies.user',
-            select: 'username displayName profilePicture',
-          },
-          {
-            path: 'comments.replies.replies.user',
-            select: 'username displayName profilePicture',
-          },
-          {
-            path: 'amaQuestionUser',
-            select: 'username displayName profilePicture',
-          },
-          {
-            path: 'amaAnswerUser',
-            select: 'username displayName profilePicture',
-          },
-        ],
-      })
-      .populate({
-        path: 'comments.user',
-        select: 'username displayName profilePicture',
-      })
-      .populate({
-        path: 'comments.replies.user',
-        select: 'username displayName profilePicture',
-      })
-      .populate({
-        path: 'comments.replies.replies.user',
-        select: 'username displayName profilePicture',
-      });
-
-    const now = new Date();
-    const thresholdScore = 5;
-
-    const scoredBulletins = bulletins.map((b) => {
-      const likes = b.likes.length;
-      const reposts = b.reposts.length;
-      const comments = b.comments.length;
-      const views = 0;
-
-      const rawScore = likes * 3 + reposts * 2 + comments * 2 + views;
-      const hoursSinceCreated = Math.abs(now - b.createdAt) / 36e5;
-      const decayFactor = 1.2;
-
-      const finalScore =
-        rawScore / Math.pow(hoursSinceCreated + 2, decayFactor);
-
-      return { bulletin: b, score: finalScore };
-    });
-
-    const filtered = scoredBulletins.filter(
-      (entry) => entry.score >= thresholdScore
-    );
-
-    // Shuffle
-    for (let i = filtered.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [filtered[i], filtered[j]] = [filtered[j], filtered[i]];
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Bulletin not found' });
+    }
+    const bulletin = await Bulletin.findById(req.params.id).select('_id userId status commentCount');
+    if (!bulletin || (!isPublished(bulletin) && bulletin.userId.toString() !== req.userId)) {
+      return res.status(404).json({ error: 'Bulletin not found' });
     }
 
-    const orderedBulletins = filtered.map((entry) => entry.bulletin);
-
-    const total = orderedBulletins.length;
-    const sliced = orderedBulletins.slice(skip, skip + limit);
-    const hasMore = skip + sliced.length < total;
-
-    res.json({
-      items: sliced,
-      page,
-      limit,
-      total,
-      hasMore,
-    });
+    const page = await commentPage(req, bulletin._id);
+    res.json({ ...page, total: bulletin.commentCount });
   } catch (err) {
-    console.error('Failed to fetch trending bulletins:', err);
-    res.status(500).json({ error: 'Failed to fetch trending bulletins' });
+    if (sendCursorError(res, err)) return;
+    console.error('Get comments error:', err);
+    res.status(500).json({ error: 'Failed to fetch comments.' });
   }
 });
 
-// Get all comments (and nested replies) on user's bulletins
-router.get('/comments/new/:userId', async (req, res) => {
+// Direct replies to one comment, oldest first, cursor-paged
+router.get('/:id/comments/:commentId/replies', optionalUser, async (req, res) => {
   try {
-    const userId = req.params.userId;
-
-    const bulletins = await Bulletin.find({ userId })
-      .populate({
-        path: 'comments.user',
-        select: 'username displayName profilePicture',
-      })
-      .populate({
-        path: 'comments.replies.user',
-        select: 'username displayName profilePicture',
-      })
-      .populate({
-        path: 'comments.replies.replies.user',
-        select: 'username displayName profilePicture',
-      })
-      .populate({
-        path: 'comments.replies.replies.replies.user',
-        select: 'username displayName profilePicture',
-      });
-
-    const allComments = [];
-
-    const traverseReplies = (replies, bulletin) => {
-      for (const reply of replies) {
-        allComments.push({
-          commentId: reply._id,
-          text: reply.text,
-          createdAt: reply.createdAt,
-          commenter: reply.user,
-          bulletinId: bulletin._id,
-          bulletinContent: bulletin.content,
-          bulletinMediaUrl: bulletin.mediaUrl,
-          isNewComment: reply.isNewComment,
-        });
-
-        if (reply.replies && reply.replies.length > 0) {
-          traverseReplies(reply.replies, bulletin);
-        }
-      }
-    };
-
-    for (const b of bulletins) {
-      for (const c of b.comments) {
-        allComments.push({
-          commentId: c._id,
-          text: c.text,
-          createdAt: c.createdAt,
-          commenter: c.user,
-          bulletinId: b._id,
-          bulletinContent: b.content,
-          bulletinMediaUrl: b.mediaUrl,
-          isNewComment: c.isNewComment,
-        });
-
-        if (c.replies && c.replies.length > 0) {
-          traverseReplies(c.replies, b);
-        }
-      }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Bulletin not found' });
+    }
+    const parent = await findComment(req.params.id, req.params.commentId);
+    if (!parent) {
+      return res.status(404).json({ error: 'Comment not found' });
     }
 
-    allComments.sort(
-      (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
-    );
+    const page = await commentPage(req, parent.bulletinId, parent._id);
+    res.json({ ...page, total: parent.replyCount });
+  } catch (err) {
+    if (sendCursorError(res, err)) return;
+    console.error('Get replies error:', err);
+    res.status(500).json({ error: 'Failed to fetch replies.' });
+  }
+});
 
-    res.json(allComments);
+// Comment inbox: comments on the user's bulletins and replies to their
+// comments, newest first, cursor-paged -> { items, nextCursor, hasMore, unread }
+router.get('/comments/new/:userId', requireUser, requireSelf('userId'), async (req, res) => {
+  try {
+    res.json(await inboxPage(req, req.params.userId));
   } catch (err) {
+    if (sendCursorError(res, err)) return;
     console.error('Get new comments error:', err);
     res.status(500).json({ error: 'Failed to fetch comments' });
   }
 });
 
+// Unread inbox count (same number as dashboardData.newComments)
+router.get('/comments/new/:userId/count', requireUser, requireSelf('userId'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('dashboardData.newComments').lean();
+    res.json({ unread: user?.dashboardData?.newComments || 0 });
+  } catch (err) {
+    console.error('Get new comment count error:', err);
+    res.status(500).json({ error: 'Failed to fetch comment count' });
+  }
+});
+
 // -----------------------------------------------------------------------------
 // Generic GET – MUST be last
 // -----------------------------------------------------------------------------
 
-// Get single bulletin by ID
-router.get('/:id', async (req, res) => {
+// Get single bulletin by ID (drafts only for their author)
+router.get('/:id', optionalUser, async (req, res) => {
   try {
     const bulletin = await populateBulletin(req.params.id);
-    if (!bulletin) {
+    if (!bulletin || (!isPublished(bulletin) && String(bulletin.userId?._id) !== req.userId)) {
       return res.status(404).json({ error: 'Bulletin not found' });
     }
     res.json(bulletin);
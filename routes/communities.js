@@ -5,6 +5,8 @@ const path = require("path");
 const Community = require("../models/Community");
 const Bulletin = require("../models/Bulletin");
 const User = require("../models/User");
+const { requireUser, requireSelf } = require("../middleware/requireUser");
+const { communityRankingPipeline } = require("../helpers/ranking");
 
 // Multer setup
 const storage = multer.diskStorage({
@@ -27,83 +29,65 @@ router.get("/", async (req, res) => {
   }
 });
 
+const RANKED_COMMUNITIES = 6;
+
+// Ranked communities only include ones with recent posts; fill the rest of
+// the list with quiet communities (score 0, oldest first) like it always had
+async function withQuietCommunities(ranked, limit = RANKED_COMMUNITIES) {
+  if (ranked.length >= limit) return ranked;
+
+  const quiet = await Community.find({ _id: { $nin: ranked.map((c) => c._id) } })
+    .sort({ _id: 1 })
+    .limit(limit - ranked.length)
+    .select("name communityPicture")
+    .lean();
+
+  return [...ranked, ...quiet.map((c) => ({ ...c, score: 0, posts: 0 }))];
+}
+
 // ✅ Popular Today — top 6 by bulletin activity in last 24h
 router.get("/top", async (req, res) => {
   try {
     const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
-    const communities = await Community.aggregate([
-      {
-        $lookup: {
-          from: "bulletins",
-          localField: "_id",
-          foreignField: "communityId",
-          as: "bulletins",
-        },
-      },
-      {
-        $addFields: {
-          recentActivityCount: {
-            $size: {
-              $filter: {
-                input: "$bulletins",
-                as: "b",
-                cond: { $gte: ["$$b.createdAt", since] },
-              },
-            },
-          },
-        },
-      },
-      { $sort: { recentActivityCount: -1, _id: 1 } },
-      { $limit: 6 },
-      {
-        $project: {
-          _id: 1,
-          name: 1,
-          communityPicture: 1,
-          recentActivityCount: 1,
-        },
-      },
-    ]);
+    const ranked = await withQuietCommunities(
+      await Bulletin.aggregate(
+        communityRankingPipeline({ since, mode: "activity", limit: RANKED_COMMUNITIES })
+      )
+    );
 
-    res.json(communities);
+    res.json(
+      ranked.map((c) => ({
+        _id: c._id,
+        name: c.name,
+        communityPicture: c.communityPicture,
+        recentActivityCount: c.posts,
+        activityScore: c.score,
+      }))
+    );
   } catch (err) {
     console.error("Top communities error:", err);
     res.status(500).json({ error: err.message || "Failed to fetch top communities." });
   }
 });
 
-// ✅ Trending — top 6 by (likes in past 36h / member count)
+// ✅ Trending — top 6 by hot score of the past 36h, per member
 router.get("/trending", async (req, res) => {
   try {
     const since = new Date(Date.now() - 36 * 60 * 60 * 1000);
-    const allCommunities = await Community.find();
-
-    const trending = await Promise.all(
-      allCommunities.map(async (community) => {
-        const bulletins = await Bulletin.find({
-          communityId: community._id,
-          createdAt: { $gte: since },
-        });
-
-        const totalLikes = bulletins.reduce((sum, b) => sum + (b.likes?.length || 0), 0);
-        const memberCount = community.members?.length || 1; // prevent division by zero
-
-        const score = totalLikes / memberCount;
-
-        return {
-          _id: community._id,
-          name: community.name,
-          communityPicture: community.communityPicture,
-          trendingScore: score,
-        };
-      })
+    const ranked = await withQuietCommunities(
+      await Bulletin.aggregate(
+        communityRankingPipeline({ since, mode: "hot", limit: RANKED_COMMUNITIES })
+      )
     );
 
-    const topTrending = trending
-      .sort((a, b) => b.trendingScore - a.trendingScore)
-      .slice(0, 6);
-
-    res.json(topTrending);
+    res.json(
+      ranked.map((c) => ({
+        _id: c._id,
+        name: c.name,
+        communityPicture: c.communityPicture,
+        trendingScore: c.score,
+      }))
+    );
   } catch (err) {
     console.error("Trending communities error:", err);
     res.status(500).json({ error: err.message || "Failed to fetch trending communities." });
@@ -111,13 +95,13 @@ router.get("/trending", async (req, res) => {
 });
 
 // Create a new community
-router.post("/", async (req, res) => {
+router.post("/", requireUser, async (req, res) => {
   try {
+    const creatorId = req.userId;
     const {
       name,
       description,
       coverImageUrl,
-      creatorId,
       bannerColor,
       backgroundColor,
       textColor,
@@ -174,12 +158,12 @@ router.post("/", async (req, res) => {
 });
 
 // ✅ Upload or change community picture
-router.put("/:id/picture", upload.single("picture"), async (req, res) => {
+router.put("/:id/picture", requireUser, upload.single("picture"), async (req, res) => {
   try {
     const community = await Community.findById(req.params.id);
     if (!community) return res.status(404).json({ error: "Community not found." });
 
-    const { adminId } = req.body;
+    const adminId = req.userId;
     if (community.administrator.toString() !== adminId) {
       return res.status(403).json({ error: "Only the administrator can update the picture." });
     }
@@ -203,12 +187,12 @@ router.put("/:id/picture", upload.single("picture"), async (req, res) => {
 });
 
 // ✅ Remove community picture
-router.put("/:id/picture/remove", async (req, res) => {
+router.put("/:id/picture/remove", requireUser, async (req, res) => {
   try {
     const community = await Community.findById(req.params.id);
     if (!community) return res.status(404).json({ error: "Community not found." });
 
-    const { adminId } = req.body;
+    const adminId = req.userId;
     if (community.administrator.toString() !== adminId) {
       return res.status(403).json({ error: "Only the administrator can remove the picture." });
     }
@@ -224,10 +208,10 @@ router.put("/:id/picture/remove", async (req, res) => {
 });
 
 // Join a community (with optional mod approval and question)
-router.post("/:id/join", async (req, res) => {
-  console.log("Join request received with body:", req.body);
+router.post("/:id/join", requireUser, async (req, res) => {
   try {
-    const { userId, answer } = req.body;
+    const { answer } = req.body;
+    const userId = req.userId;
     const community = await Community.findById(req.params.id);
     if (!community) return res.status(404).json({ error: "Community not found." });
 
@@ -272,10 +256,11 @@ router.post("/:id/join", async (req, res) => {
 });
 
 // Leave a community
-router.post("/:id/leave", async (req, res) => {
+router.post("/:id/leave", requireUser, async (req, res) => {
   try {
     const community = await Community.findById(req.params.id);
-    const userId = req.body.userId;
+    if (!community) return res.status(404).json({ error: "Community not found." });
+    const userId = req.userId;
 
     community.members = community.members.filter(
       (id) => id.toString() !== userId
@@ -290,10 +275,12 @@ router.post("/:id/leave", async (req, res) => {
 });
 
 // Promote a member to moderator
-router.post("/:id/promote", async (req, res) => {
+router.post("/:id/promote", requireUser, async (req, res) => {
   try {
-    const { userId, adminId } = req.body;
+    const { userId } = req.body;
+    const adminId = req.userId;
     const community = await Community.findById(req.params.id);
+    if (!community) return res.status(404).json({ error: "Community not found." });
 
     if (community.administrator.toString() !== adminId) {
       return res.status(403).json({ error: "Only the administrator can promote moderators." });
@@ -312,10 +299,12 @@ router.post("/:id/promote", async (req, res) => {
 });
 
 // Remove a moderator
-router.post("/:id/demote", async (req, res) => {
+router.post("/:id/demote", requireUser, async (req, res) => {
   try {
-    const { userId, adminId } = req.body;
+    const { userId } = req.body;
+    const adminId = req.userId;
     const community = await Community.findById(req.params.id);
+    if (!community) return res.status(404).json({ error: "Community not found." });
 
     if (community.administrator.toString() !== adminId) {
       return res.status(403).json({ error: "Only the administrator can remove moderators." });
@@ -334,9 +323,10 @@ router.post("/:id/demote", async (req, res) => {
 });
 
 // Transfer ownership
-router.post("/:id/transfer", async (req, res) => {
+router.post("/:id/transfer", requireUser, async (req, res) => {
   try {
-    const { newAdminId, currentAdminId } = req.body;
+    const { newAdminId } = req.body;
+    const currentAdminId = req.userId;
     const community = await Community.findById(req.params.id);
 
     if (!community) return res.status(404).json({ error: "Community not found." });
@@ -357,9 +347,10 @@ router.post("/:id/transfer", async (req, res) => {
 });
 
 // Update rules
-router.put("/:id/rules", async (req, res) => {
+router.put("/:id/rules", requireUser, async (req, res) => {
   try {
-    const { adminId, rules } = req.body;
+    const { rules } = req.body;
+    const adminId = req.userId;
     const community = await Community.findById(req.params.id);
 
     if (!community) return res.status(404).json({ error: "Community not found." });
@@ -379,9 +370,10 @@ router.put("/:id/rules", async (req, res) => {
 });
 
 // Update custom HTML
-router.put("/:id/custom-html", async (req, res) => {
+router.put("/:id/custom-html", requireUser, async (req, res) => {
   try {
-    const { adminId, htmlContent } = req.body;
+    const { htmlContent } = req.body;
+    const adminId = req.userId;
     const community = await Community.findById(req.params.id);
 
     if (!community) return res.status(404).json({ error: "Community not found." });
@@ -401,9 +393,10 @@ router.put("/:id/custom-html", async (req, res) => {
 });
 
 // ✅ Update requireApproval setting
-router.put("/:id/require-approval", async (req, res) => {
+router.put("/:id/require-approval", requireUser, async (req, res) => {
   try {
-    const { adminId, requireApproval } = req.body;
+    const { requireApproval } = req.body;
+    const adminId = req.userId;
     const community = await Community.findById(req.params.id);
 
     if (!community) return res.status(404).json({ error: "Community not found." });
@@ -423,9 +416,10 @@ router.put("/:id/require-approval", async (req, res) => {
 });
 
 // ✅ Update requireMemberApproval setting
-router.put("/:id/require-member-approval", async (req, res) => {
+router.put("/:id/require-member-approval", requireUser, async (req, res) => {
   try {
-    const { adminId, requireMemberApproval } = req.body;
+    const { requireMemberApproval } = req.body;
+    const adminId = req.userId;
     const community = await Community.findById(req.params.id);
 
     if (!community) return res.status(404).json({ error: "Community not found." });
@@ -450,9 +444,10 @@ router.put("/:id/require-member-approval", async (req, res) => {
 });
 
 // ✅ Update requireMemberQuestion and memberQuestionText
-router.put("/:id/member-question", async (req, res) => {
+router.put("/:id/member-question", requireUser, async (req, res) => {
   try {
-    const { adminId, requireMemberQuestion, memberQuestionText } = req.body;
+    const { requireMemberQuestion, memberQuestionText } = req.body;
+    const adminId = req.userId;
     const community = await Community.findById(req.params.id);
 
     if (!community) return res.status(404).json({ error: "Community not found." });
@@ -537,15 +532,16 @@ router.get("/:id/pending-members", async (req, res) => {
 });
 
 // ✅ Approve or deny a pending member request
-router.post("/:id/respond-member", async (req, res) => {
+router.post("/:id/respond-member", requireUser, async (req, res) => {
   try {
-    const { adminId, userId, approve } = req.body;
+    const { userId, approve } = req.body;
+    const adminId = req.userId;
     const community = await Community.findById(req.params.id);
 
     if (!community) return res.status(404).json({ error: "Community not found." });
 
     const isMod = community.administrator.toString() === adminId ||
-      community.moderators.includes(adminId);
+      community.moderators.some((id) => id.toString() === adminId);
     if (!isMod) {
       return res.status(403).json({ error: "Only admins or moderators can approve members." });
     }
@@ -614,7 +610,7 @@ router.get("/:id/member-requests", async (req, res) => {
 // 🔰  GET  /api/communities/mod-summary/:userId
 //      Returns every community the user admins/moderates
 //      plus three moderation-queue counts for each one.
-router.get("/mod-summary/:userId", async (req, res) => {
+router.get("/mod-summary/:userId", requireUser, requireSelf("userId"), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -3,14 +3,20 @@ const express = require("express");
 const router = express.Router();
 const Friendship = require("../models/Friendship");
 const User = require("../models/User");
+const { requireUser, requireSelf } = require("../middleware/requireUser");
 
 const mongoose = require("mongoose");
 const ObjectId = mongoose.Types.ObjectId;
 
 // ✅ Send friend request
-router.post("/request", async (req, res) => {
+router.post("/request", requireUser, async (req, res) => {
   try {
-    const { requesterId, recipientId } = req.body;
+    const { recipientId } = req.body;
+    const requesterId = req.userId;
+
+    if (!recipientId || recipientId === requesterId) {
+      return res.status(400).json({ error: "Invalid recipient." });
+    }
 
     // Check if request already exists
     const existing = await Friendship.findOne({
@@ -37,13 +43,18 @@ router.post("/request", async (req, res) => {
 });
 
 // ✅ Accept friend request
-router.post("/:id/accept", async (req, res) => {
+router.post("/:id/accept", requireUser, async (req, res) => {
   try {
     const { id } = req.params;
 
     const friendship = await Friendship.findById(id);
     if (!friendship) return res.status(404).json({ error: "Request not found." });
 
+    // Only the recipient can accept
+    if (friendship.recipient.toString() !== req.userId) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+
     friendship.status = "accepted";
     await friendship.save();
 
@@ -55,10 +66,21 @@ router.post("/:id/accept", async (req, res) => {
 });
 
 // ✅ Decline friend request
-router.post("/:id/decline", async (req, res) => {
+router.post("/:id/decline", requireUser, async (req, res) => {
   try {
     const { id } = req.params;
 
+    const friendship = await Friendship.findById(id);
+    if (!friendship) return res.status(404).json({ error: "Request not found." });
+
+    // Recipient declines, or requester cancels
+    const isParty =
+      friendship.recipient.toString() === req.userId ||
+      friendship.requester.toString() === req.userId;
+    if (!isParty) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+
     await Friendship.findByIdAndDelete(id);
     res.json({ message: "Request declined." });
   } catch (err) {
@@ -68,9 +90,14 @@ router.post("/:id/decline", async (req, res) => {
 });
 
 // ✅ Remove friendship by user IDs
-router.post("/remove-by-users", async (req, res) => {
+router.post("/remove-by-users", requireUser, async (req, res) => {
   try {
-    const { userId1, userId2 } = req.body;
+    // The acting user is always one side; the other is whichever body id isn't them
+    const userId1 = req.userId;
+    const userId2 = [req.body.userId1, req.body.userId2].find(
+      (id) => id && String(id) !== userId1
+    );
+    if (!userId2) return res.status(400).json({ error: "Missing friend id." });
 
     const friendship = await Friendship.findOneAndDelete({
       $or: [
@@ -120,7 +147,7 @@ router.get("/friends/:userId", async (req, res) => {
 });
 
 // ✅ Get pending friend requests for a user (includes mutual count)
-router.get("/requests/:userId", async (req, res) => {
+router.get("/requests/:userId", requireUser, requireSelf("userId"), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -11,6 +11,7 @@ try {
 } catch (_) { /* ok if missing */ }
 
 const { ADMIN_CODES, computeCMO, defaultEscalation } = require('../utils/cgviMatrix');
+const requirePermission = require('../middleware/requirePermission');
 
 /**
  * GET /api/memos/by-user/:userId
@@ -23,7 +24,7 @@ const { ADMIN_CODES, computeCMO, defaultEscalation } = require('../utils/cgviMat
  * Searches across many possible memo fields to find everything written “for” that user.
  * Light-normalizes output so the UI can read cgviCodes even if the doc stored cgvi: [{code:"101.1"}].
  */
-router.get('/by-user/:userId', async (req, res) => {
+router.get('/by-user/:userId', requirePermission('memos.read'), async (req, res) => {
   try {
     const raw = String(req.params.userId || '').trim();
     if (!raw) return res.json([]);
@@ -142,7 +143,7 @@ router.get('/by-user/:userId', async (req, res) => {
  * Create memo with CMO + flags; requires ACR when non-admin CGVIs are present.
  * (Kept as-is, with tiny robustness tweaks so it can also accept `cgviCodes`.)
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('memos.create'), async (req, res) => {
   try {
     const {
       contentOwnerId, reportId, content,
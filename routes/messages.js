@@ -3,11 +3,16 @@ const express = require("express");
 const router = express.Router();
 const Message = require("../models/Message");
 const User = require("../models/User");
+const { requireUser, requireSelf } = require("../middleware/requireUser");
+
+// Every messaging route acts on behalf of the signed-in user
+router.use(requireUser);
 
 // ✅ Send a message
 router.post("/", async (req, res) => {
   try {
-    const { sender, recipient, content } = req.body;
+    const { recipient, content } = req.body;
+    const sender = req.userId;
 
     // Ensure sender and recipient are valid users
     const senderUser = await User.findById(sender);
@@ -49,6 +54,11 @@ router.get("/conversation/:user1/:user2", async (req, res) => {
   try {
     const { user1, user2 } = req.params;
 
+    // Only participants can read a conversation
+    if (user1 !== req.userId && user2 !== req.userId) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+
     const messages = await Message.find({
       $or: [
         { sender: user1, recipient: user2 },
@@ -67,7 +77,7 @@ router.get("/conversation/:user1/:user2", async (req, res) => {
 });
 
 // ✅ Get recent messages *received* by a user (raw inbox messages)
-router.get("/inbox/:userId", async (req, res) => {
+router.get("/inbox/:userId", requireSelf("userId"), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -83,7 +93,7 @@ router.get("/inbox/:userId", async (req, res) => {
 });
 
 // ✅ Get unique conversation users with last message
-router.get("/conversations/:userId", async (req, res) => {
+router.get("/conversations/:userId", requireSelf("userId"), async (req, res) => {
   try {
     const { userId } = req.params;
 
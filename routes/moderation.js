@@ -1,10 +1,18 @@
 // routes/moderation.js
 const express = require("express");
 const router = express.Router();
+const mongoose = require("mongoose");
 const Community = require("../models/Community");
 const CommunityReport = require("../models/CommunityReport");
+const User = require("../models/User");
+const Comment = require("../models/Comment");
+const requirePermission = require("../middleware/requirePermission");
+const { revokeUserSessions } = require("../helpers/sessionStore");
+const { USER_APP } = require("../helpers/userSessions");
+const { disconnectUser } = require("../middleware/socketAuth");
+const { removeComment } = require("../helpers/comments");
 
-router.get("/:userId/status", async (req, res) => {
+router.get("/:userId/status", requirePermission("moderation.read"), async (req, res) => {
   const { userId } = req.params;
 
   try {
@@ -47,4 +55,60 @@ router.get("/:userId/status", async (req, res) => {
   }
 });
 
+// Ban / unban a MyTop6 account
+async function setBanned(req, res, banned) {
+  const { userId } = req.params;
+
+  try {
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { banned },
+      { new: true, select: "username handle banned" }
+    ).lean();
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    // A ban should take effect now, not when their sessions expire
+    if (banned) {
+      await revokeUserSessions(userId, { app: USER_APP });
+      disconnectUser(req.app.get("io"), userId);
+    }
+
+    console.log(`🔨 ${req.staff.username} set banned=${banned} on user ${userId}`);
+    res.json({ ok: true, user });
+  } catch (err) {
+    console.error("Set banned error:", err);
+    res.status(500).json({ error: "Failed to update ban status" });
+  }
+}
+
+router.post("/users/:userId/ban", requirePermission("users.ban"), (req, res) =>
+  setBanned(req, res, true)
+);
+
+router.post("/users/:userId/unban", requirePermission("users.ban"), (req, res) =>
+  setBanned(req, res, false)
+);
+
+// Remove a bulletin comment (tombstoned if it has replies)
+router.delete("/comments/:commentId", requirePermission("comments.delete"), async (req, res) => {
+  const { commentId } = req.params;
+
+  try {
+    const comment = mongoose.isValidObjectId(commentId)
+      ? await Comment.findOne({ _id: commentId, deletedAt: null }).lean()
+      : null;
+    if (!comment) return res.status(404).json({ error: "Comment not found" });
+
+    const removed = await removeComment(comment, "staff");
+    if (!removed) return res.status(404).json({ error: "Comment not found" });
+    const { tombstoned } = removed;
+
+    console.log(`🧹 ${req.staff.username} deleted comment ${commentId}`);
+    res.json({ ok: true, tombstoned });
+  } catch (err) {
+    console.error("Staff delete comment error:", err);
+    res.status(500).json({ error: "Failed to delete comment" });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
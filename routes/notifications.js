@@ -10,7 +10,9 @@ router.get('/:userId', async (req, res) => {
 
     const notifications = await Notification.find({ toUser: userId })
       .populate('fromUser', 'username displayName profilePicture')
-      .populate('bulletinId', 'content mediaUrl')
+      .populate('bulletinId', 'content mediaUrl isQuote quoteText repostOf')
+      .populate('commentId', 'text deletedAt')
+      .populate('threadId', 'title community')
       .sort({ createdAt: -1 });
 
     res.json(notifications);
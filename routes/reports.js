@@ -4,9 +4,11 @@ const mongoose = require('mongoose');
 
 const Report = require('../models/Report');
 const Bulletin = require('../models/Bulletin');
+const BulletinRevision = require('../models/BulletinRevision');
 const User = require('../models/User');
 const Question = require('../models/Question');
 const { computePriorityFromType } = require("../helpers/priority");
+const requirePermission = require("../middleware/requirePermission");
 
 /* Reason code helpers ------------------------------------------------------*/
 const CODE_TO_LONG = {
@@ -40,6 +42,8 @@ const LABEL_TO_CODE = {
 };
 const REASON_CODE_SET = new Set(Object.keys(CODE_TO_LONG));
 const DEBUG = process.env.REPORTS_DEBUG === '1';
+// Prior bulletin versions included per report (newest first)
+const REVISIONS_SHOWN = 20;
 
 function tryParseAny(val) {
   if (val == null) return null;
@@ -164,7 +168,7 @@ function buildReportId(date, seq, reasonCode) {
 }
 
 /* POST /api/reports ---------------------------------------------------------*/
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('reports.create'), async (req, res) => {
   try {
     const {
       contentId,
@@ -219,7 +223,7 @@ router.post('/', async (req, res) => {
 });
 
 /* GET /api/reports (pending only) ------------------------------------------*/
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('reports.read'), async (req, res) => {
   try {
     const reports = await Report.find({ status: "pending" }).sort({ createdAt: 1 });
 
@@ -240,6 +244,15 @@ router.get('/', async (req, res) => {
               status: "resolved",
             });
 
+            // Edited since it was posted? Show mods every earlier version
+            const revisions = bulletin.revisionCount
+              ? await BulletinRevision.find({ bulletinId: bulletin._id })
+                  .sort({ replacedAt: -1 })
+                  .limit(REVISIONS_SHOWN)
+                  .select("content mediaUrl tags postedAt replacedAt")
+                  .lean()
+              : [];
+
             const summary = bulletin.content
               ? bulletin.content.substring(0, 30)
               : bulletin.type === "image"
@@ -274,6 +287,9 @@ router.get('/', async (req, res) => {
               createdAt: r.createdAt,
               reportedAt: r.createdAt,
               postedAt: bulletin.createdAt,
+              reportedContent: r.contentText ?? null,
+              editedAt: bulletin.editedAt || null,
+              revisions,
             };
           }
 
@@ -332,7 +348,7 @@ router.get('/', async (req, res) => {
 });
 
 /* Resolve / Delete ----------------------------------------------------------*/
-router.post('/:id/resolve', async (req, res) => {
+router.post('/:id/resolve', requirePermission('reports.resolve'), async (req, res) => {
   try {
     const report = await Report.findById(req.params.id);
     if (!report) return res.status(404).json({ error: "Report not found" });
@@ -347,7 +363,7 @@ router.post('/:id/resolve', async (req, res) => {
   }
 });
 
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('reports.delete'), async (req, res) => {
   try {
     await Report.findByIdAndDelete(req.params.id);
     res.json({ message: "Report deleted successfully." });
@@ -4,6 +4,7 @@ const router = express.Router();
 
 const User = require("../models/User");
 const Friendship = require("../models/Friendship");
+const { requireUser, requireSelf } = require("../middleware/requireUser");
 
 /**
  * GET /api/status/feed/:userId
@@ -11,7 +12,7 @@ const Friendship = require("../models/Friendship");
  *
  * NOTE: define this BEFORE "/:userId" so it doesn’t get shadowed.
  */
-router.get("/feed/:userId", async (req, res) => {
+router.get("/feed/:userId", requireUser, requireSelf("userId"), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -113,9 +114,9 @@ router.get("/:userId", async (req, res) => {
 
 /**
  * POST /api/status/:userId
- * Update current user status.
+ * Update current user status (must be the signed-in user).
  */
-router.post("/:userId", async (req, res) => {
+router.post("/:userId", requireUser, requireSelf("userId"), async (req, res) => {
   try {
     const { userId } = req.params;
     const { mood = "", blip = "" } = req.body;
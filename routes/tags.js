@@ -0,0 +1,119 @@
+// routes/tags.js
+// Tag pages, trending tags and tag follows, mounted at /api/tags.
+// Tags are whatever is in Bulletin.tags — author #hashtags and AI tags alike
+// (helpers/hashtags.js). Following a tag feeds User.interestTags
+// (helpers/interests.js), so followed tags show up in For You.
+const express = require('express');
+const router = express.Router();
+
+const Bulletin = require('../models/Bulletin');
+const User = require('../models/User');
+const { requireUser, optionalUser } = require('../middleware/requireUser');
+const { TIME_SORT, timePage, sendCursorError } = require('../helpers/feedPaging');
+const { PUBLISHED } = require('../helpers/bulletinStatus');
+const { populateFeed } = require('../helpers/populateFeed');
+const {
+  TRENDING_WINDOWS,
+  DEFAULT_TRENDING_WINDOW,
+  normalizeTag,
+  tagSources,
+  trendingTags,
+} = require('../helpers/hashtags');
+const { followTag, unfollowTag } = require('../helpers/interests');
+const { markStale } = require('../helpers/forYouFeed');
+
+// Trending tags: ?window=24h|7d|30d (default 24h)
+router.get('/trending', async (req, res) => {
+  try {
+    const window = req.query.window || DEFAULT_TRENDING_WINDOW;
+    if (!TRENDING_WINDOWS[window]) {
+      return res
+        .status(400)
+        .json({ error: `window must be one of: ${Object.keys(TRENDING_WINDOWS).join(', ')}.` });
+    }
+
+    const tags = await trendingTags(window);
+    res.json({ window, tags });
+  } catch (err) {
+    console.error('Trending tags error:', err);
+    res.status(500).json({ error: 'Failed to fetch trending tags.' });
+  }
+});
+
+// Tags I follow
+router.get('/followed', requireUser, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('followedTags').lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json(user.followedTags || []);
+  } catch (err) {
+    console.error('Followed tags error:', err);
+    res.status(500).json({ error: 'Failed to fetch followed tags.' });
+  }
+});
+
+// Bulletins with a tag, newest first, cursor-paged.
+// ?cursor=<nextCursor from the previous page>&limit=10
+router.get('/:tag/bulletins', optionalUser, async (req, res) => {
+  try {
+    const tag = normalizeTag(req.params.tag);
+    if (!tag) {
+      return res.status(400).json({ error: 'Invalid tag.' });
+    }
+
+    // Originals and quotes only (a plain repost would show the same post twice)
+    const query = {
+      tags: tag,
+      approved: true,
+      $or: [{ repostOf: null }, { isQuote: true }],
+      ...PUBLISHED,
+    };
+
+    const [page, user] = await Promise.all([
+      timePage(query, req, (filterQuery, limit) =>
+        populateFeed(Bulletin.find(filterQuery).sort(TIME_SORT).limit(limit))
+      ),
+      req.userId ? User.findById(req.userId).select('followedTags').lean() : null,
+    ]);
+
+    res.json({
+      tag,
+      following: !!user?.followedTags?.includes(tag),
+      ...page,
+      // Each post says whether it got this tag from the author, the AI or both
+      items: page.items.map((b) => ({ ...b.toObject(), tagSources: tagSources(b) })),
+    });
+  } catch (err) {
+    if (sendCursorError(res, err)) return;
+    console.error('Tag bulletins error:', err);
+    res.status(500).json({ error: 'Failed to fetch bulletins for tag.' });
+  }
+});
+
+// Follow / unfollow a tag -> { tag, following, followedTags }
+async function setFollow(req, res, follow) {
+  try {
+    const tag = normalizeTag(req.params.tag);
+    if (!tag) {
+      return res.status(400).json({ error: 'Invalid tag.' });
+    }
+
+    const { error, status, followedTags } = follow
+      ? await followTag(req.userId, tag)
+      : await unfollowTag(req.userId, tag);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    await markStale(req.userId);
+    res.json({ tag, following: follow, followedTags });
+  } catch (err) {
+    console.error('Tag follow error:', err);
+    res.status(500).json({ error: 'Failed to update tag follow.' });
+  }
+}
+
+router.post('/:tag/follow', requireUser, (req, res) => setFollow(req, res, true));
+router.delete('/:tag/follow', requireUser, (req, res) => setFollow(req, res, false));
+
+module.exports = router;
@@ -8,6 +8,8 @@ const Community = require("../models/Community");
 const User = require("../models/User");
 
 const ThreadKudos = require("../models/ThreadKudos");
+const { resolveMentions, notifyMentions } = require("../helpers/mentions");
+const { requireUser } = require("../middleware/requireUser");
 
 // Small helper to normalize ObjectId/string arrays
 const normalizeIds = (arr = []) =>
@@ -252,15 +254,16 @@ router.post("/threads/:threadId/kudos", async (req, res) => {
 
 // ============================================================================
 // POST /api/threads/:threadId/replies
-// Add a reply (with optional parentReplyId for nesting)
+// Add a reply (with optional parentReplyId for nesting) as the signed-in user
 // ============================================================================
-router.post("/threads/:threadId/replies", async (req, res) => {
+router.post("/threads/:threadId/replies", requireUser, async (req, res) => {
   try {
     const { threadId } = req.params;
-    const { authorId, body, parentReplyId } = req.body;
+    const { body, parentReplyId } = req.body;
+    const authorId = req.userId;
 
-    if (!authorId || !body) {
-      return res.status(400).json({ error: "authorId and body are required" });
+    if (!body) {
+      return res.status(400).json({ error: "body is required" });
     }
 
     const thread = await Thread.findById(threadId).populate(
@@ -304,13 +307,17 @@ router.post("/threads/:threadId/replies", async (req, res) => {
       }
     }
 
-    await ThreadReply.create({
+    const mentions = await resolveMentions(body, authorId);
+    const reply = await ThreadReply.create({
       thread: thread._id,
       author: authorId,
       body,
       parentReply: parentReply ? parentReply._id : null,
+      mentions,
     });
 
+    await notifyMentions(mentions, authorId, { threadId: thread._id, threadReplyId: reply._id });
+
     thread.replyCount = (thread.replyCount || 0) + 1;
     thread.lastActivityAt = new Date();
     await thread.save();
@@ -1,10 +1,13 @@
 // routes/users.js
 const express = require('express');
 const router = express.Router();
-const bcrypt = require('bcrypt'); // 🔐 for password hashing
 const User = require('../models/User');
 const Question = require('../models/Question');
 const mongoose = require('mongoose');
+const { handleRegistration } = require('../helpers/registration');
+const { markInboxRead } = require('../helpers/commentInbox');
+const { MENTION_PRIVACY } = require('../helpers/mentions');
+const { requireUser, requireSelf } = require('../middleware/requireUser');
 
 const DEFAULT_PROFILE_PICTURE = "/uploads/nophoto.png";
 
@@ -15,12 +18,6 @@ const isDefaultProfilePicture = (value) => {
   return lower.includes("nophoto");
 };
 
-// 🔢 Normalize phone: keep digits only, e.g. "(555) 123-4567" -> "5551234567"
-function normalizePhone(phone) {
-  if (!phone) return "";
-  return String(phone).replace(/\D/g, "").trim();
-}
-
 // ✅ Coerce booleans safely ("false" -> false)
   const toBool = (v) => {
     if (typeof v === "boolean") return v;
@@ -33,129 +30,7 @@ function normalizePhone(phone) {
 /* 🔹 REGISTER NEW USER – CALLED FROM ExtraDetailsPage                    */
 /* ===================================================================== */
 
-router.post('/register', async (req, res) => {
-  try {
-    console.log('🔥 /api/users/register BODY =', req.body);
-
-    const {
-      phoneNumber,
-      username,
-      password,
-      bio,
-      handle,
-      dob,       // from ExtraDetailsPage
-      location,  // from ExtraDetailsPage
-    } = req.body || {};
-
-    console.log('REGISTER BODY:', req.body); // 🔍 debug: make sure dob & location are coming in
-
-    if (!phoneNumber || !username || !password || !handle || !dob) {
-      return res.status(400).json({
-        error:
-          'phoneNumber, username, handle, password, and dob are required.',
-      });
-    }
-
-    // 🔢 Age check
-    const birth = new Date(dob);
-    if (Number.isNaN(birth.getTime())) {
-      return res.status(400).json({ error: 'Invalid date of birth.' });
-    }
-
-    const today = new Date();
-    let age = today.getFullYear() - birth.getFullYear();
-    const m = today.getMonth() - birth.getMonth();
-    if (m < 0 || (m === 0 && today.getDate() < birth.getDate())) {
-      age--;
-    }
-
-    if (age < 13) {
-      return res.status(403).json({
-        error: 'You must be at least 13 years old to create a MyTop6 account.',
-      });
-    }
-
-    const normalizedPhone = normalizePhone(phoneNumber);
-
-    // Check uniqueness for handle and phoneNumber
-    const existingHandle = await User.findOne({
-      handle: handle.toLowerCase().trim(),
-    });
-    if (existingHandle) {
-      return res.status(400).json({ error: 'Handle already taken' });
-    }
-
-    const existingPhone = await User.findOne({ phoneNumber: normalizedPhone });
-    if (existingPhone) {
-      return res
-        .status(400)
-        .json({ error: 'An account already exists for this phone number.' });
-    }
-
-    const passwordHash = await bcrypt.hash(password, 12);
-
-    // compute age ON THE SERVER as well, so you can store a snapshot
-    let storedAge = age;
-    if (storedAge < 0 || Number.isNaN(storedAge)) {
-      storedAge = undefined;
-    }
-
-    const newUser = new User({
-      phoneNumber: normalizedPhone,
-      username,
-      handle: handle.toLowerCase().trim(),
-      passwordHash,
-      bio: bio || '',
-      dob: birth,                 // 🎂 actual Date object
-      age: storedAge,             // optional snapshot
-      location: location || '',   // 🗺️ "City, ST"
-    });
-
-    console.log('ABOUT TO SAVE USER:', {
-      phoneNumber: normalizedPhone,
-      username,
-      handle: handle.toLowerCase().trim(),
-      dob: birth,
-      age: storedAge,
-      location: location || '',
-    });
-
-    try {
-      await newUser.save();
-    } catch (err) {
-      // Catch duplicate-key errors under high concurrency
-      if (err.code === 11000) {
-        if (err.keyPattern?.phoneNumber) {
-          return res.status(400).json({
-            error: 'An account already exists for this phone number.'
-          });
-        }
-        if (err.keyPattern?.handle) {
-          return res.status(400).json({
-            error: 'Handle already taken'
-          });
-        }
-
-        return res.status(400).json({
-          error: 'Duplicate key error.'
-        });
-      }
-
-      console.error('Register error:', err);
-      return res.status(500).json({ error: 'Failed to register user.' });
-    }
-
-    const safeUser = newUser.toObject();
-    delete safeUser.passwordHash;
-
-    return res.status(201).json(safeUser);
-  } catch (err) {
-    console.error('Register error:', err);
-    return res
-      .status(400)
-      .json({ error: err.message || 'Failed to register user.' });
-  }
-});
+router.post('/register', handleRegistration);
 
 /* ===================================================================== */
 /* 🔹 SEARCH USERS                                                        */
@@ -469,12 +344,10 @@ router.put('/:id/top-friends', async (req, res) => {
 });
 
 
-// Reset new comments count
-router.post('/:id/reset-new-comments', async (req, res) => {
+// Reset new comments count (marks the comment inbox read)
+router.post('/:id/reset-new-comments', requireUser, requireSelf('id'), async (req, res) => {
   try {
-    await User.findByIdAndUpdate(req.params.id, {
-      $set: { 'dashboardData.newComments': 0 },
-    });
+    await markInboxRead(req.userId);
     res.json({ message: 'New comments count reset.' });
   } catch (err) {
     console.error('Failed to reset new comments count:', err);
@@ -482,6 +355,85 @@ router.post('/:id/reset-new-comments', async (req, res) => {
   }
 });
 
+/* ===================================================================== */
+/* 🔹 BLOCKS + PRIVACY                                                    */
+/* ===================================================================== */
+
+// My block list
+router.get('/:userId/blocks', requireUser, requireSelf('userId'), async (req, res) => {
+  try {
+    const user = await User.findById(req.userId)
+      .select('blockedUsers')
+      .populate('blockedUsers', 'username handle profilePicture')
+      .lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    res.json(user.blockedUsers || []);
+  } catch (err) {
+    console.error('Get blocks error:', err);
+    res.status(500).json({ error: 'Failed to fetch blocked users.' });
+  }
+});
+
+// Block someone: { targetId }
+router.post('/:userId/blocks', requireUser, requireSelf('userId'), async (req, res) => {
+  try {
+    const { targetId } = req.body || {};
+    if (!mongoose.isValidObjectId(targetId) || String(targetId) === req.userId) {
+      return res.status(400).json({ error: 'Invalid user to block.' });
+    }
+    if (!(await User.exists({ _id: targetId }))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await User.updateOne({ _id: req.userId }, { $addToSet: { blockedUsers: targetId } });
+    res.json({ message: 'User blocked.' });
+  } catch (err) {
+    console.error('Block user error:', err);
+    res.status(500).json({ error: 'Failed to block user.' });
+  }
+});
+
+// Unblock
+router.delete('/:userId/blocks/:targetId', requireUser, requireSelf('userId'), async (req, res) => {
+  try {
+    const { targetId } = req.params;
+    if (!mongoose.isValidObjectId(targetId)) {
+      return res.status(400).json({ error: 'Invalid user id.' });
+    }
+
+    await User.updateOne({ _id: req.userId }, { $pull: { blockedUsers: targetId } });
+    res.json({ message: 'User unblocked.' });
+  } catch (err) {
+    console.error('Unblock user error:', err);
+    res.status(500).json({ error: 'Failed to unblock user.' });
+  }
+});
+
+// Privacy settings: { mentions: "everyone" | "friends" | "nobody" }
+router.put('/:userId/privacy', requireUser, requireSelf('userId'), async (req, res) => {
+  try {
+    const { mentions } = req.body || {};
+    if (!MENTION_PRIVACY.includes(mentions)) {
+      return res
+        .status(400)
+        .json({ error: `mentions must be one of: ${MENTION_PRIVACY.join(', ')}.` });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.userId,
+      { $set: { 'privacy.mentions': mentions } },
+      { new: true, select: 'privacy' }
+    ).lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    res.json({ privacy: user.privacy });
+  } catch (err) {
+    console.error('Update privacy error:', err);
+    res.status(500).json({ error: 'Failed to update privacy settings.' });
+  }
+});
+
 // Dashboard Data
 router.get('/:id/dashboard-data', async (req, res) => {
   try {
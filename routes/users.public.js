@@ -3,73 +3,23 @@ const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
 const User = require('../models/User');
+const { issueUserSession } = require('../helpers/userSessions');
+const { normalizePhone, handleRegistration } = require('../helpers/registration');
+const {
+  checkLogin,
+  loginFailed,
+  loginSucceeded,
+  sendLoginBlocked,
+} = require('../helpers/loginLimiter');
 
-// --- helper to normalize phone into DIGITS ONLY ---
-function normalizePhone(phone) {
-  if (!phone) return '';
-  return String(phone).replace(/\D/g, '').trim(); // ← FIXED
-}
 
 /* ========================================================================
    PUBLIC: REGISTER NEW USER
    POST /api/users
-   body: { phoneNumber, username, password, handle, bio }
+   body: { phoneNumber, username, password, handle, dob, bio, location }
+   (same service as POST /api/users/register — see helpers/registration.js)
    ======================================================================== */
-router.post('/', async (req, res) => {
-  try {
-    const { phoneNumber, username, password, handle, bio } = req.body || {};
-
-    if (!phoneNumber || !username || !password || !handle) {
-      return res.status(400).json({
-        error: 'phoneNumber, username, handle, and password are required.',
-      });
-    }
-
-    // normalize phone
-    const normalizedPhone = normalizePhone(phoneNumber);
-
-    if (!normalizedPhone || normalizedPhone.length < 10) {
-      return res.status(400).json({ error: 'Invalid phone number.' });
-    }
-
-    const cleanHandle = handle.toLowerCase().trim();
-
-    // Unique handle?
-    const existingHandle = await User.findOne({ handle: cleanHandle });
-    if (existingHandle) {
-      return res.status(400).json({ error: 'Handle already taken.' });
-    }
-
-    // Unique phone?
-    const existingPhone = await User.findOne({ phoneNumber: normalizedPhone });
-    if (existingPhone) {
-      return res
-        .status(400)
-        .json({ error: 'An account already exists for this phone number.' });
-    }
-
-    // Hash password
-    const passwordHash = await bcrypt.hash(password, 12);
-
-    const user = new User({
-      phoneNumber: normalizedPhone,   // ← SAVES DIGITS ONLY
-      username,
-      handle: cleanHandle,
-      passwordHash,
-      bio,
-    });
-
-    await user.save();
-
-    const safeUser = user.toObject();
-    delete safeUser.passwordHash;
-
-    return res.status(201).json(safeUser);
-  } catch (err) {
-    console.error('Register error:', err);
-    res.status(400).json({ error: err.message });
-  }
-});
+router.post('/', handleRegistration);
 
 /* ========================================================================
    PUBLIC: LOGIN
@@ -88,25 +38,34 @@ router.post('/login', async (req, res) => {
 
     // MUST use the same normalization for login too
     const normalizedPhone = normalizePhone(phoneNumber);
+    const attempt = { app: 'mytop6', account: normalizedPhone, ip: req.ip };
+
+    const gate = await checkLogin(attempt);
+    if (!gate.allowed) return sendLoginBlocked(res, gate);
 
     const user = await User.findOne({ phoneNumber: normalizedPhone });
-    if (!user || user.banned) {
+    const ok = !!user && (await bcrypt.compare(password, user.passwordHash || ''));
+    if (!ok) {
+      await loginFailed(attempt);
       return res
         .status(401)
         .json({ error: 'Invalid phone number or password.' });
     }
 
-    const ok = await bcrypt.compare(password, user.passwordHash || '');
-    if (!ok) {
+    if (user.banned) {
       return res
         .status(401)
         .json({ error: 'Invalid phone number or password.' });
     }
 
+    await loginSucceeded(attempt);
+
+    const { token, expiresAt } = await issueUserSession(req, res, user);
+
     const safeUser = user.toObject();
     delete safeUser.passwordHash;
 
-    return res.status(200).json(safeUser);
+    return res.status(200).json({ ...safeUser, token, sessionExpiresAt: expiresAt });
   } catch (err) {
     console.error('Login error:', err);
     return res.status(500).json({ error: 'Server error during login.' });
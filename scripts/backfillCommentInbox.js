@@ -0,0 +1,110 @@
+// scripts/backfillCommentInbox.js
+// Build comment_activity rows for comments posted before the inbox existed,
+// then set each recipient's read marker and unread count. Comments still
+// flagged isNewComment (the old per-comment read state) stay unread.
+// Safe to re-run: rows are upserted on (commentId, recipient).
+// Usage: npm run comments:backfill-inbox [-- --dry-run]
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+const mongoose = require("mongoose");
+const Comment = require("../models/Comment");
+const CommentActivity = require("../models/CommentActivity");
+const User = require("../models/User");
+const { refreshUnread } = require("../helpers/commentInbox");
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const BATCH = 500;
+
+(async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    // Raw cursor: isNewComment is no longer in the Comment schema
+    const cursor = Comment.collection.find(
+      { deletedAt: null },
+      { projection: { _id: 1, bulletinId: 1, bulletinOwner: 1, user: 1, parentId: 1, createdAt: 1, isNewComment: 1 } }
+    );
+
+    const parentAuthors = new Map(); // parent comment id -> author id
+    const oldestUnread = new Map(); // recipient -> oldest createdAt still flagged new
+    const recipients = new Set();
+    let ops = [];
+    let rows = 0;
+
+    const flush = async () => {
+      if (!ops.length) return;
+      if (!DRY_RUN) await CommentActivity.bulkWrite(ops, { ordered: false });
+      rows += ops.length;
+      ops = [];
+    };
+
+    for await (const c of cursor) {
+      let repliedTo = null;
+      if (c.parentId) {
+        const key = String(c.parentId);
+        if (!parentAuthors.has(key)) {
+          const parent = await Comment.collection.findOne({ _id: c.parentId }, { projection: { user: 1 } });
+          parentAuthors.set(key, parent?.user || null);
+        }
+        repliedTo = parentAuthors.get(key);
+      }
+
+      // Same fan-out as recordCommentActivity
+      const actor = String(c.user);
+      const targets = new Map();
+      if (repliedTo && String(repliedTo) !== actor) targets.set(String(repliedTo), "reply");
+      if (!targets.has(String(c.bulletinOwner)) && String(c.bulletinOwner) !== actor) {
+        targets.set(String(c.bulletinOwner), "comment");
+      }
+
+      for (const [recipient, kind] of targets) {
+        recipients.add(recipient);
+        if (c.isNewComment && kind === "comment") {
+          const seen = oldestUnread.get(recipient);
+          if (!seen || c.createdAt < seen) oldestUnread.set(recipient, c.createdAt);
+        }
+
+        ops.push({
+          updateOne: {
+            filter: { commentId: c._id, recipient },
+            update: {
+              $setOnInsert: {
+                actor: c.user,
+                kind,
+                bulletinId: c.bulletinId,
+                createdAt: c.createdAt,
+              },
+            },
+            upsert: true,
+          },
+        });
+      }
+
+      if (ops.length >= BATCH) await flush();
+    }
+    await flush();
+
+    if (!DRY_RUN) {
+      // Read up to just before the oldest comment still marked new (or now)
+      const now = new Date();
+      for (const recipient of recipients) {
+        const oldest = oldestUnread.get(recipient);
+        const readAt = oldest ? new Date(oldest.getTime() - 1) : now;
+        await User.updateOne(
+          { _id: recipient, "dashboardData.commentsReadAt": null },
+          { $set: { "dashboardData.commentsReadAt": readAt } }
+        );
+      }
+      await refreshUnread([...recipients]);
+    }
+
+    console.log(
+      `${DRY_RUN ? "🔍 Would write" : "✅ Wrote"} ${rows} inbox row(s) for ${recipients.size} user(s)`
+    );
+  } catch (err) {
+    console.error("❌ Comment inbox backfill failed:", err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
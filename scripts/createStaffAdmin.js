@@ -0,0 +1,51 @@
+// scripts/createStaffAdmin.js
+// Seed the first admin for a staff console. The /create endpoints always
+// need a signed-in admin; this is how a fresh deploy gets one.
+// The password comes from STAFF_PASSWORD so it stays out of shell history.
+// Usage: STAFF_PASSWORD=... npm run staff:create-admin -- <watchtower|mainframe> <username> ["Display Name"]
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+const mongoose = require("mongoose");
+const WatchtowerUser = require("../models/WatchtowerUser");
+const MainframeUser = require("../models/MainframeUser");
+
+const STAFF_MODELS = {
+  watchtower: WatchtowerUser,
+  mainframe: MainframeUser,
+};
+
+(async () => {
+  const [app, username, name] = process.argv.slice(2);
+  const Model = STAFF_MODELS[app];
+  const password = process.env.STAFF_PASSWORD;
+
+  if (!Model || !username || !password || (app === "mainframe" && !name)) {
+    console.error(
+      "Usage: STAFF_PASSWORD=... npm run staff:create-admin -- <watchtower|mainframe> <username> [\"Display Name\" (mainframe)]"
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    // Bootstrap only: once a console has an admin, new accounts go through /create
+    if (await Model.exists({ role: "admin" })) {
+      console.error(`❌ ${app} already has an admin; create accounts from the console instead`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const user = new Model({ username, role: "admin", ...(name && { name }) });
+    await user.setPassword(password);
+    await user.save();
+
+    console.log(`✅ Created ${app} admin "${user.username}"`);
+  } catch (err) {
+    console.error("❌ Staff admin creation failed:", err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
@@ -0,0 +1,96 @@
+// scripts/migrateComments.js
+// Move comments embedded in Bulletin.comments (recursive replies arrays) into
+// the comments collection, keeping their _ids, then set commentCount and drop
+// the embedded array. Safe to re-run: comments are upserted by _id and a
+// bulletin's array is only removed after all of its comments are written.
+// Usage: npm run comments:migrate [-- --dry-run]
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+const mongoose = require("mongoose");
+const Bulletin = require("../models/Bulletin");
+const Comment = require("../models/Comment");
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+// Embedded tree -> flat Comment documents with parent / depth / path
+function flatten(bulletin) {
+  const out = [];
+
+  const walk = (nodes, parent) => {
+    for (const node of nodes || []) {
+      if (!node?._id || !node.user) continue; // malformed entry, nothing to keep
+      const id = String(node._id);
+      const children = (node.replies || []).filter((r) => r?._id && r.user);
+
+      out.push({
+        _id: node._id,
+        bulletinId: bulletin._id,
+        bulletinOwner: bulletin.userId,
+        user: node.user,
+        text: node.text || "",
+        likes: node.likes || [],
+        parentId: parent?._id || null,
+        depth: parent ? parent.depth + 1 : 0,
+        path: parent ? `${parent.path}/${id}` : id,
+        replyCount: children.length,
+        isNewComment: !!node.isNewComment,
+        createdAt: node.createdAt || bulletin.createdAt,
+        updatedAt: node.createdAt || bulletin.createdAt,
+      });
+
+      walk(children, out[out.length - 1]);
+    }
+  };
+
+  walk(bulletin.comments, null);
+  return out;
+}
+
+(async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    // Raw driver cursor: `comments` is no longer in the Bulletin schema
+    const cursor = Bulletin.collection.find(
+      { comments: { $exists: true } },
+      { projection: { _id: 1, userId: 1, createdAt: 1, comments: 1 } }
+    );
+
+    let bulletins = 0;
+    let comments = 0;
+
+    for await (const bulletin of cursor) {
+      const docs = flatten(bulletin);
+
+      if (!DRY_RUN) {
+        if (docs.length) {
+          await Comment.collection.bulkWrite(
+            docs.map((doc) => ({
+              updateOne: { filter: { _id: doc._id }, update: { $setOnInsert: doc }, upsert: true },
+            })),
+            { ordered: false }
+          );
+        }
+
+        // Count what's in the collection, so re-runs and new comments add up
+        const commentCount = await Comment.countDocuments({ bulletinId: bulletin._id });
+        await Bulletin.collection.updateOne(
+          { _id: bulletin._id },
+          { $set: { commentCount }, $unset: { comments: "" } }
+        );
+      }
+
+      bulletins++;
+      comments += docs.length;
+    }
+
+    console.log(
+      `${DRY_RUN ? "🔍 Would migrate" : "✅ Migrated"} ${comments} comment(s) from ${bulletins} bulletin(s)`
+    );
+  } catch (err) {
+    console.error("❌ Comment migration failed:", err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
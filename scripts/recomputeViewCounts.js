@@ -0,0 +1,20 @@
+// scripts/recomputeViewCounts.js
+// Rebuild Bulletin.viewCount from the Interaction log.
+// Usage: npm run views:recompute
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+const mongoose = require("mongoose");
+const { recomputeViewCounts } = require("../helpers/viewCounts");
+
+(async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const updated = await recomputeViewCounts();
+    console.log(`✅ Recomputed view counts for ${updated} bulletin(s)`);
+  } catch (err) {
+    console.error("❌ View count recompute failed:", err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
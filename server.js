@@ -21,8 +21,8 @@ const { Server } = require("socket.io");
 // 3️⃣ Routes
 const aiRoutes = require("./routes/ai");
 const authRoutes = require("./routes/auth");
-const quikmodUsers = require("./routes/quikmodUsers");      // Watchtower
-const mainframeUsers = require("./routes/mainframe-users"); // Mainframe
+const quikmodUsersRoutes = require("./routes/quikmodUsers");     // Watchtower
+const mainframeUsersRoutes = require("./routes/mainframe-users"); // Mainframe
 
 console.log("Cloudinary env check:", {
   cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
@@ -141,7 +141,6 @@ app.get("/health", (_req, res) => res.json({ ok: true, ts: Date.now() }));
 // ---- Route imports
 const notificationsRoutes = require("./routes/notifications");
 const moderationRoutes = require("./routes/moderation");
-const quikmodUsersRoutes = require("./routes/quikmodUsers");
 const usersPublicRouter = require("./routes/users.public");
 const usersRouter = require("./routes/users");
 const warningLevelRouter = require("./routes/warningLevel");
@@ -156,6 +155,10 @@ const cgviRouter =
 console.log("✅ Mongo URI present:", !!process.env.MONGODB_URI);
 
 const requireAuth = require("./middleware/auth");
+const { socketAuth, joinVerifiedRooms } = require("./middleware/socketAuth");
+const { registerPollSocket } = require("./helpers/polls");
+const { startFeedMaterializer } = require("./helpers/forYouFeed");
+const { startBulletinScheduler } = require("./helpers/bulletinPublishing");
 
 // ============================================================================
 // SOCKET.IO SETUP (for instant messaging)
@@ -173,14 +176,13 @@ const io = new Server(server, {
 // Make io available in routes via req.app.get("io")
 app.set("io", io);
 
+// Handshake must carry a valid MyTop6 session token (auth.token / Bearer / cookie)
+io.use(socketAuth);
+
 io.on("connection", (socket) => {
-  const userId = socket.handshake.query?.userId;
-  if (userId) {
-    socket.join(`user:${userId}`);
-    console.log(`📡 Socket connected for user ${userId} (${socket.id})`);
-  } else {
-    console.log(`📡 Socket connected without userId (${socket.id})`);
-  }
+  joinVerifiedRooms(socket);
+  registerPollSocket(socket);
+  console.log(`📡 Socket connected for user ${socket.data.userId} (${socket.id})`);
 
   socket.on("disconnect", () => {
     console.log(`📴 Socket disconnected: ${socket.id}`);
@@ -202,6 +204,7 @@ mongoose
     app.use("/api/friendships", require("./routes/friendships"));
     app.use("/api/notifications", notificationsRoutes);
     app.use("/api/quikmod-users", quikmodUsersRoutes);
+    app.use("/api/mainframe-users", mainframeUsersRoutes);
     app.use("/api/locations", locationsRoutes);
 
     // MyTop6 Auth
@@ -214,7 +217,9 @@ mongoose
     app.use("/api/ai", aiRoutes);
 
     // Feature routes
+    app.use("/api/bulletins/drafts", require("./routes/bulletinDrafts"));
     app.use("/api/bulletins", require("./routes/bulletins"));
+    app.use("/api/tags", require("./routes/tags"));
     app.use("/api/messages", require("./routes/messages"));
     app.use("/api/communities", require("./routes/communities"));
     app.use("/api/questions", require("./routes/questions"));
@@ -243,6 +248,12 @@ mongoose
       console.log("ℹ️ No client build found:", clientBuildPath);
     }
 
+    // Keep For You feeds of active readers materialized
+    startFeedMaterializer();
+
+    // Publish scheduled bulletins (catches up on anything due while down)
+    startBulletinScheduler();
+
     // Start server (NOTE: server.listen, not app.listen)
     server.listen(PORT, HOST, () => {
       console.log(`🚀 Server running on http://${HOST}:${PORT}`);
@@ -0,0 +1,123 @@
+// test/bulletinEdit.test.js
+// PATCH /api/bulletins/:id in a community that requires approval: an edit
+// sends the post back to the mod queue. Models are mocked (no Mongo here);
+// the request goes through the real router and requireUser.
+process.env.SESSION_SECRET = "test-session-secret";
+process.env.OPENAI_API_KEY = "test";
+
+const test = require("node:test");
+const { mock } = test;
+const assert = require("node:assert/strict");
+const express = require("express");
+const mongoose = require("mongoose");
+
+// Anything not mocked below fails fast instead of waiting for a connection
+mongoose.set("bufferCommands", false);
+
+// Mocked before the router loads: helpers destructure these at require time
+mock.method(require("../utils/aiTagger"), "getFreeformTagsForBulletin", async () => ({ tags: [] }));
+mock.method(require("../helpers/forYouFeed"), "invalidateFriendsOf", async () => {});
+
+const Bulletin = require("../models/Bulletin");
+const BulletinRevision = require("../models/BulletinRevision");
+const Community = require("../models/Community");
+const sessionStore = require("../helpers/sessionStore");
+const { USER_APP, signToken } = require("../helpers/userSessions");
+const bulletinsRouter = require("../routes/bulletins");
+
+const authorId = new mongoose.Types.ObjectId();
+const communityId = new mongoose.Types.ObjectId();
+
+// Resolves like a Mongoose query, with the chain methods the code calls
+const query = (value) => ({
+  select() {
+    return this;
+  },
+  populate() {
+    return this;
+  },
+  lean() {
+    return this;
+  },
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+});
+
+let server;
+let baseUrl;
+let token;
+
+test.before(async () => {
+  sessionStore.useDriver("memory");
+  const session = await sessionStore.createSession({ app: USER_APP, userId: String(authorId) });
+  token = signToken(session.sid);
+
+  const app = express();
+  app.use(express.json());
+  app.use("/api/bulletins", bulletinsRouter);
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+// Per-test mocks (t.mock) are undone when the test ends
+function setup(t, { requireApproval, approved }) {
+  const bulletin = new Bulletin({
+    userId: authorId,
+    communityId,
+    type: "text",
+    content: "harmless",
+    status: "published",
+    approved,
+  });
+  t.mock.method(bulletin, "save", async () => bulletin);
+
+  const pendingIncs = [];
+  t.mock.method(Bulletin, "findById", () => query(bulletin));
+  t.mock.method(Bulletin, "updateMany", async () => ({ modifiedCount: 0 }));
+  t.mock.method(BulletinRevision, "create", async () => ({}));
+  t.mock.method(Community, "findById", () => query({ name: "c", requireApproval }));
+  t.mock.method(Community, "findByIdAndUpdate", async (id, update) => {
+    pendingIncs.push(update.$inc?.pendingBulletins);
+  });
+
+  return { bulletin, pendingIncs };
+}
+
+const edit = (bulletin, content) =>
+  fetch(`${baseUrl}/api/bulletins/${bulletin._id}`, {
+    method: "PATCH",
+    headers: { "content-type": "application/json", authorization: `Bearer ${token}` },
+    body: JSON.stringify({ content }),
+  });
+
+test("editing an approved post in an approval community puts it back in the queue", async (t) => {
+  const { bulletin, pendingIncs } = setup(t, { requireApproval: true, approved: true });
+
+  const res = await edit(bulletin, "something else entirely");
+
+  assert.equal(res.status, 200);
+  assert.equal(bulletin.content, "something else entirely");
+  assert.equal(bulletin.approved, false);
+  assert.deepEqual(pendingIncs, [1]);
+});
+
+test("a post still waiting for approval isn't counted twice", async (t) => {
+  const { bulletin, pendingIncs } = setup(t, { requireApproval: true, approved: false });
+
+  const res = await edit(bulletin, "edited while pending");
+
+  assert.equal(res.status, 200);
+  assert.equal(bulletin.approved, false);
+  assert.deepEqual(pendingIncs, []);
+});
+
+test("communities without approval keep the post live", async (t) => {
+  const { bulletin, pendingIncs } = setup(t, { requireApproval: false, approved: true });
+
+  const res = await edit(bulletin, "fixed a typo");
+
+  assert.equal(res.status, 200);
+  assert.equal(bulletin.approved, true);
+  assert.deepEqual(pendingIncs, []);
+});
@@ -0,0 +1,138 @@
+// test/feedPaging.test.js
+// Cursor paging: chronological keyset pages and ranked snapshots (memory driver).
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const paging = require("../helpers/feedPaging");
+
+const req = (query = {}) => ({ query });
+
+// Just enough of a Mongo matcher for the filters applyTimeCursor builds
+const cmp = (a, b) => {
+  const [x, y] = [a, b].map((v) => (v instanceof Date ? v.getTime() : String(v)));
+  return x < y ? -1 : x > y ? 1 : 0;
+};
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, cond]) => {
+    if (key === "$and") return cond.every((f) => matches(doc, f));
+    if (key === "$or") return cond.some((f) => matches(doc, f));
+    if (cond && typeof cond === "object" && !(cond instanceof Date) && !mongoose.isValidObjectId(cond)) {
+      if ("$lt" in cond) return cmp(doc[key], cond.$lt) < 0;
+      if ("$gt" in cond) return cmp(doc[key], cond.$gt) > 0;
+    }
+    return cmp(doc[key], cond) === 0;
+  });
+}
+
+// 25 posts, several sharing a createdAt so the _id tie-break matters
+const posts = Array.from({ length: 25 }, (_, i) => ({
+  _id: new mongoose.Types.ObjectId(),
+  createdAt: new Date(Date.UTC(2025, 0, 1, 0, Math.floor(i / 4))),
+}));
+
+function runQuery({ ascending = false } = {}) {
+  const dir = ascending ? 1 : -1;
+  return async (filter, limit) =>
+    posts
+      .filter((p) => matches(p, filter))
+      .sort((a, b) => dir * (cmp(a.createdAt, b.createdAt) || cmp(a._id, b._id)))
+      .slice(0, limit);
+}
+
+async function collect(options) {
+  const seen = [];
+  let cursor;
+  let pages = 0;
+  do {
+    const page = await paging.timePage({}, req({ limit: "10", cursor }), runQuery(options), options);
+    seen.push(...page.items);
+    cursor = page.nextCursor;
+    assert.equal(page.hasMore, !!cursor);
+    pages++;
+  } while (cursor);
+  return { seen, pages };
+}
+
+test("cursors round-trip and reject garbage", () => {
+  const payload = { t: "2025-01-01T00:00:00.000Z", id: "x" };
+  assert.deepEqual(paging.decodeCursor(paging.encodeCursor(payload)), payload);
+  assert.equal(paging.decodeCursor(undefined), null);
+  assert.throws(() => paging.decodeCursor("not json"), paging.CursorError);
+});
+
+test("a time cursor needs a real date and id", () => {
+  const bad = paging.encodeCursor({ t: "never", id: "nope" });
+  assert.throws(() => paging.applyTimeCursor({}, bad), paging.CursorError);
+});
+
+test("no cursor leaves the query alone", () => {
+  const query = { approved: true };
+  assert.equal(paging.applyTimeCursor(query, undefined), query);
+});
+
+test("newest-first pages cover every post once, in order", async () => {
+  const { seen, pages } = await collect();
+  assert.equal(pages, 3);
+  assert.deepEqual(
+    seen.map((p) => String(p._id)),
+    (await runQuery()({}, 100)).map((p) => String(p._id))
+  );
+});
+
+test("oldest-first pages cover every post once, in order", async () => {
+  const { seen } = await collect({ ascending: true });
+  assert.deepEqual(
+    seen.map((p) => String(p._id)),
+    (await runQuery({ ascending: true })({}, 100)).map((p) => String(p._id))
+  );
+});
+
+test("limit is clamped", () => {
+  assert.equal(paging.getLimit(req()), paging.DEFAULT_LIMIT);
+  assert.equal(paging.getLimit(req({ limit: "0" })), paging.DEFAULT_LIMIT);
+  assert.equal(paging.getLimit(req({ limit: "1000" })), paging.MAX_LIMIT);
+});
+
+test("ranked pages follow the snapshot, not the latest ranking", async () => {
+  paging.useDriver("memory");
+  let ranking = ["a", "b", "c", "d", "e"];
+  const options = {
+    kind: "trending",
+    buildRanking: async () => ranking.map((id) => ({ id })),
+    loadItems: async (ids) => ids.map((id) => ({ _id: id })),
+  };
+
+  const first = await paging.rankedPage(req({ limit: "2" }), options);
+  assert.deepEqual(first.items.map((d) => d._id), ["a", "b"]);
+  assert.equal(first.total, 5);
+
+  ranking = ["e", "d", "c", "b", "a"]; // scores moved after page 1
+  const second = await paging.rankedPage(req({ limit: "2", cursor: first.nextCursor }), options);
+  assert.deepEqual(second.items.map((d) => d._id), ["c", "d"]);
+
+  const third = await paging.rankedPage(req({ limit: "2", cursor: second.nextCursor }), options);
+  assert.deepEqual(third.items.map((d) => d._id), ["e"]);
+  assert.equal(third.hasMore, false);
+  assert.equal(third.nextCursor, null);
+});
+
+test("a ranked cursor only works for the feed that made it", async () => {
+  paging.useDriver("memory");
+  const options = {
+    kind: "foryou",
+    ownerId: "u1",
+    buildRanking: async () => [{ id: "a" }, { id: "b" }],
+    loadItems: async (ids) => ids.map((id) => ({ _id: id })),
+  };
+  const { nextCursor } = await paging.rankedPage(req({ limit: "1" }), options);
+
+  await assert.rejects(
+    paging.rankedPage(req({ cursor: nextCursor }), { ...options, ownerId: "u2" }),
+    (err) => err instanceof paging.CursorError && err.status === 400
+  );
+  await assert.rejects(
+    paging.rankedPage(req({ cursor: paging.encodeCursor({ s: "gone", o: 1 }) }), options),
+    (err) => err instanceof paging.CursorError && err.status === 410
+  );
+});
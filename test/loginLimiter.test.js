@@ -0,0 +1,92 @@
+// test/loginLimiter.test.js
+// Login lockouts (memory driver).
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const limiter = require("../helpers/loginLimiter");
+
+const login = { app: "mytop6", account: "Someone@Example.com", ip: "10.0.0.1" };
+
+test.beforeEach(() => limiter.useDriver("memory"));
+
+test("the account locks after maxAttempts failures", async () => {
+  const { maxAttempts } = limiter.ACCOUNT_POLICY;
+
+  for (let i = 1; i < maxAttempts; i++) {
+    const result = await limiter.loginFailed(login);
+    assert.equal(result.locked, false);
+    assert.equal(result.remaining, maxAttempts - i);
+    assert.deepEqual(await limiter.checkLogin(login), { allowed: true });
+  }
+
+  const last = await limiter.loginFailed(login);
+  assert.equal(last.locked, true);
+
+  const denial = await limiter.checkLogin(login);
+  assert.equal(denial.allowed, false);
+  assert.equal(denial.scope, "account");
+  assert.ok(denial.retryAfterMs > 0);
+});
+
+test("concurrent failures can't slip past the lock", async () => {
+  const { maxAttempts } = limiter.ACCOUNT_POLICY;
+  const results = await Promise.all(
+    Array.from({ length: maxAttempts * 2 }, () => limiter.loginFailed(login))
+  );
+
+  assert.ok(results.some((r) => r.locked));
+  assert.equal((await limiter.checkLogin(login)).allowed, false);
+  const events = await limiter.listEvents();
+  assert.ok(events.some((e) => e.event === "locked" && e.scope === "account"));
+});
+
+test("account keys ignore case", async () => {
+  for (let i = 0; i < limiter.ACCOUNT_POLICY.maxAttempts; i++) {
+    await limiter.loginFailed(login);
+  }
+  const denial = await limiter.checkLogin({ ...login, account: "someone@example.com" });
+  assert.equal(denial.allowed, false);
+});
+
+test("a good login clears the failures", async () => {
+  await limiter.loginFailed(login);
+  await limiter.loginFailed(login);
+  await limiter.loginSucceeded(login);
+
+  const result = await limiter.loginFailed(login);
+  assert.equal(result.remaining, limiter.ACCOUNT_POLICY.maxAttempts - 1);
+});
+
+test("each lock in a streak lasts twice as long", async () => {
+  const key = limiter.accountKey("mytop6", "streak");
+  const policy = { maxAttempts: 1, lockMs: 1000, maxLockMs: 3000 };
+
+  assert.equal((await limiter.recordFailure(key, policy)).retryAfterMs, 1000);
+  assert.equal((await limiter.recordFailure(key, policy)).retryAfterMs, 2000);
+  assert.equal((await limiter.recordFailure(key, policy)).retryAfterMs, 3000); // capped
+});
+
+test("too many failures from one IP throttle every account", async () => {
+  for (let i = 0; i < limiter.IP_POLICY.maxAttempts; i++) {
+    await limiter.loginFailed({ ...login, account: `user${i}` });
+  }
+  const denial = await limiter.checkLogin({ ...login, account: "fresh" });
+  assert.equal(denial.allowed, false);
+  assert.equal(denial.scope, "ip");
+});
+
+test("unlock lifts a lock and is audited", async () => {
+  const key = limiter.accountKey("mytop6", "locked");
+  await limiter.recordFailure(key, { maxAttempts: 1 });
+  assert.equal((await limiter.checkLock(key)).locked, true);
+
+  assert.equal(await limiter.unlock(key, { by: "admin" }), true);
+  assert.equal((await limiter.checkLock(key)).locked, false);
+  assert.equal(await limiter.unlock(key), false);
+
+  const events = await limiter.listEvents();
+  assert.deepEqual(
+    events.map((e) => e.event),
+    ["unlocked", "locked"]
+  );
+});
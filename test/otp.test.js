@@ -0,0 +1,95 @@
+// test/otp.test.js
+// Phone OTP codes (console provider: in-memory store, peek() for the code).
+process.env.OTP_SECRET = "test-otp-secret";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const loginLimiter = require("../helpers/loginLimiter");
+const { OtpError, useOtpProvider } = require("../helpers/otpProviders");
+
+const phone = "5555550123";
+let otp;
+
+test.beforeEach((t) => {
+  t.mock.method(console, "log", () => {}); // the console provider "delivers" here
+  loginLimiter.useDriver("memory"); // per-phone send / guess caps
+  otp = useOtpProvider("console");
+});
+
+test("a code works once", async () => {
+  await otp.send({ phone });
+  const code = otp.peek({ phone });
+
+  assert.deepEqual(await otp.verify({ phone, code }), { ok: true });
+  assert.deepEqual(await otp.verify({ phone, code }), { ok: false, reason: "expired" });
+});
+
+test("concurrent verifies of the same code: only one wins", async () => {
+  await otp.send({ phone });
+  const code = otp.peek({ phone });
+
+  const results = await Promise.all([otp.verify({ phone, code }), otp.verify({ phone, code })]);
+  assert.equal(results.filter((r) => r.ok).length, 1);
+});
+
+test("codes are scoped to their purpose", async () => {
+  await otp.send({ phone, purpose: "reset" });
+  const code = otp.peek({ phone, purpose: "reset" });
+
+  assert.deepEqual(await otp.verify({ phone, code, purpose: "verify" }), {
+    ok: false,
+    reason: "expired",
+  });
+  assert.deepEqual(await otp.verify({ phone, code, purpose: "reset" }), { ok: true });
+});
+
+test("wrong codes count toward the attempt limit", async () => {
+  await otp.send({ phone });
+  const code = otp.peek({ phone });
+  const wrong = code === "000000" ? "111111" : "000000";
+
+  let result;
+  for (let i = 0; i < 10 && result?.reason !== "too-many-attempts"; i++) {
+    result = await otp.verify({ phone, code: wrong });
+  }
+  assert.equal(result.reason, "too-many-attempts");
+  assert.deepEqual(await otp.verify({ phone, code }), { ok: false, reason: "too-many-attempts" });
+});
+
+test("resending inside the cooldown is refused", async () => {
+  await otp.send({ phone });
+  await assert.rejects(otp.send({ phone }), (err) => err instanceof OtpError && err.status === 429);
+});
+
+test("a new code doesn't reset the per-phone guess budget", async () => {
+  let result;
+  for (let round = 0; round < 5 && result?.reason !== "too-many-attempts"; round++) {
+    otp = useOtpProvider("console"); // fresh challenge store: skips the resend cooldown
+    await otp.send({ phone });
+    const wrong = otp.peek({ phone }) === "000000" ? "111111" : "000000";
+    for (let i = 0; i < 4; i++) result = await otp.verify({ phone, code: wrong });
+  }
+  assert.equal(result.reason, "too-many-attempts");
+
+  otp = useOtpProvider("console");
+  await otp.send({ phone });
+  assert.deepEqual(await otp.verify({ phone, code: otp.peek({ phone }) }), {
+    ok: false,
+    reason: "too-many-attempts",
+  });
+});
+
+test("sends per phone are capped", async () => {
+  const send = () => useOtpProvider("console").send({ phone });
+  let refused;
+  for (let i = 0; i < 10 && !refused; i++) {
+    await send().catch((err) => (refused = err));
+  }
+  assert.ok(refused instanceof OtpError);
+  assert.equal(refused.status, 429);
+});
+
+test("unknown purposes are refused", async () => {
+  await assert.rejects(otp.send({ phone, purpose: "login" }));
+});
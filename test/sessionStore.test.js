@@ -0,0 +1,53 @@
+// test/sessionStore.test.js
+// Session store (memory driver): expiry and revocation.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const sessionStore = require("../helpers/sessionStore");
+
+test.beforeEach(() => sessionStore.useDriver("memory"));
+
+test("a live session is found, and not after it's destroyed", async () => {
+  const session = await sessionStore.createSession({ app: "mainframe", userId: "u1" });
+
+  assert.equal((await sessionStore.getSession(session.sid)).userId, "u1");
+
+  assert.equal(await sessionStore.destroySession(session.sid), 1);
+  assert.equal(await sessionStore.getSession(session.sid), null);
+});
+
+test("expired sessions are gone", async () => {
+  const idle = await sessionStore.createSession({ app: "mainframe", userId: "u1" }, { ttlMs: -1 });
+  const capped = await sessionStore.createSession({ app: "mainframe", userId: "u1" }, { maxAgeMs: -1 });
+
+  assert.equal(await sessionStore.getSession(idle.sid), null);
+  assert.equal(await sessionStore.getSession(capped.sid), null);
+});
+
+test("createSession needs an app and a user", async () => {
+  await assert.rejects(sessionStore.createSession({ app: "mainframe" }));
+  await assert.rejects(sessionStore.createSession({ userId: "u1" }));
+});
+
+test("revoking a user's sessions can keep the current one", async () => {
+  const current = await sessionStore.createSession({ app: "mainframe", userId: "u1" });
+  const other = await sessionStore.createSession({ app: "mainframe", userId: "u1" });
+  const otherApp = await sessionStore.createSession({ app: "watchtower", userId: "u1" });
+  const someoneElse = await sessionStore.createSession({ app: "mainframe", userId: "u2" });
+
+  const removed = await sessionStore.revokeUserSessions("u1", { app: "mainframe", exceptSid: current.sid });
+
+  assert.equal(removed, 1);
+  assert.ok(await sessionStore.getSession(current.sid));
+  assert.equal(await sessionStore.getSession(other.sid), null);
+  assert.ok(await sessionStore.getSession(otherApp.sid));
+  assert.ok(await sessionStore.getSession(someoneElse.sid));
+});
+
+test("listUserSessions only shows the user's live sessions", async () => {
+  await sessionStore.createSession({ app: "mainframe", userId: "u1" });
+  await sessionStore.createSession({ app: "mainframe", userId: "u1" }, { ttlMs: -1 });
+  await sessionStore.createSession({ app: "mainframe", userId: "u2" });
+
+  assert.equal((await sessionStore.listUserSessions("u1")).length, 1);
+});
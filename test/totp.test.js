@@ -0,0 +1,64 @@
+// test/totp.test.js
+// Staff TOTP: RFC 6238 codes, clock drift and replay protection.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const totp = require("../helpers/totp");
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+const STEP_MS = 30 * 1000;
+
+test("matches the RFC 6238 SHA-1 test vectors (last 6 digits)", () => {
+  assert.equal(totp.codeForStep(RFC_SECRET, totp.stepFor(59 * 1000)), "287082");
+  assert.equal(totp.codeForStep(RFC_SECRET, totp.stepFor(1111111109 * 1000)), "081804");
+  assert.equal(totp.codeForStep(RFC_SECRET, totp.stepFor(1234567890 * 1000)), "005924");
+});
+
+test("accepts the current code and one step of drift either way", () => {
+  const secret = totp.generateSecret();
+  const now = Date.now();
+  const step = totp.stepFor(now);
+
+  assert.equal(totp.verifyTotp(secret, totp.codeForStep(secret, step), { now }), step);
+  assert.equal(totp.verifyTotp(secret, totp.codeForStep(secret, step - 1), { now }), step - 1);
+  assert.equal(totp.verifyTotp(secret, totp.codeForStep(secret, step + 1), { now }), step + 1);
+  assert.equal(totp.verifyTotp(secret, totp.codeForStep(secret, step - 2), { now }), null);
+});
+
+test("a code can't be replayed once its step is used", () => {
+  const secret = totp.generateSecret();
+  const now = Date.now();
+  const code = totp.codeForStep(secret, totp.stepFor(now));
+
+  const usedStep = totp.verifyTotp(secret, code, { now });
+  assert.notEqual(usedStep, null);
+  assert.equal(totp.verifyTotp(secret, code, { now, afterStep: usedStep }), null);
+  // ...not even a step later, while drift would still accept it
+  const later = now + STEP_MS;
+  assert.equal(totp.verifyTotp(secret, code, { now: later }), usedStep);
+  assert.equal(totp.verifyTotp(secret, code, { now: later, afterStep: usedStep }), null);
+});
+
+test("rejects malformed codes", () => {
+  const secret = totp.generateSecret();
+  assert.equal(totp.verifyTotp(secret, "12345"), null);
+  assert.equal(totp.verifyTotp(secret, "abcdef"), null);
+  assert.equal(totp.verifyTotp(secret, null), null);
+});
+
+test("secrets round-trip through encryption at rest", (t) => {
+  t.mock.method(console, "warn", () => {}); // dev key warning
+  const secret = totp.generateSecret();
+  const sealed = totp.encryptSecret(secret);
+
+  assert.notEqual(sealed, secret);
+  assert.equal(totp.decryptSecret(sealed), secret);
+});
+
+test("recovery codes are stored only as hashes, ignoring case and dashes", () => {
+  const { codes, hashes } = totp.generateRecoveryCodes(3);
+  assert.equal(codes.length, 3);
+  assert.equal(totp.hashRecoveryCode(codes[0].toUpperCase().replace("-", "")), hashes[0]);
+  assert.ok(!hashes.includes(codes[0]));
+});
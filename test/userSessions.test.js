@@ -0,0 +1,43 @@
+// test/userSessions.test.js
+// Signed end-user session tokens ("<sid>.<hmac>") on top of the session store.
+process.env.SESSION_SECRET = "test-session-secret";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const sessionStore = require("../helpers/sessionStore");
+const { USER_APP, signToken, verifyToken, resolveUserToken } = require("../helpers/userSessions");
+
+test.beforeEach(() => sessionStore.useDriver("memory"));
+
+test("a signed token verifies back to its sid", () => {
+  const sid = sessionStore.generateSessionId();
+  assert.equal(verifyToken(signToken(sid)), sid);
+});
+
+test("tampered, unsigned or malformed tokens don't verify", () => {
+  const sid = sessionStore.generateSessionId();
+  const token = signToken(sid);
+  const sig = token.slice(token.lastIndexOf(".") + 1);
+
+  assert.equal(verifyToken(`${sessionStore.generateSessionId()}.${sig}`), null);
+  assert.equal(verifyToken(`${sid}.${sig.slice(0, -1)}`), null);
+  assert.equal(verifyToken(sid), null);
+  assert.equal(verifyToken(""), null);
+  assert.equal(verifyToken(null), null);
+});
+
+test("a token resolves to its live session, and not after it's revoked", async () => {
+  const session = await sessionStore.createSession({ app: USER_APP, userId: "u1" });
+  const token = signToken(session.sid);
+
+  assert.equal((await resolveUserToken(token)).userId, "u1");
+
+  await sessionStore.revokeUserSessions("u1", { app: USER_APP });
+  assert.equal(await resolveUserToken(token), null);
+});
+
+test("another console's session doesn't resolve as an end-user session", async () => {
+  const session = await sessionStore.createSession({ app: "mainframe", userId: "staff1" });
+  assert.equal(await resolveUserToken(signToken(session.sid)), null);
+});